@@ -6,10 +6,28 @@ import fs from "fs";
 import admin from "firebase-admin";
 import { fileURLToPath } from "url";
 import path from "path";
+import crypto from "crypto";
+import zlib from "zlib";
+import multer from "multer";
+import nodemailer from "nodemailer";
+import sharp from "sharp";
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import hljs from "highlight.js";
 
 dotenv.config();
 const app = express();
 
+// Vercel / reverse proxy এর পিছনে req.ip আসল client IP হয় X-Forwarded-For থেকে
+// TRUST_PROXY = hop সংখ্যা, true/false, অথবা express এর subnet list ("loopback, 10.0.0.0/8")
+function parseTrustProxy(value) {
+  if (value === undefined || value === "") return 1;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+}
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 // CORS middleware
 app.use(cors({
   origin: [
@@ -22,7 +40,21 @@ app.use(cors({
   allowedHeaders: ['Content-Type','Authorization']
 }));
 
-app.use(express.json());
+// /upload-image এর base64 body অনেক বড়, ওটার নিজস্ব parser আছে (media section এ)
+const jsonBodyParser = express.json();
+app.use((req, res, next) => (req.path === "/upload-image" ? next() : jsonBodyParser(req, res, next)));
+
+// Malformed JSON body তে HTML error page না দিয়ে বাকি validation errors এর মতো 400
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: [{ field: "body", message: "Request body must be valid JSON" }],
+    });
+  }
+  next(err);
+});
 
 // ES module path fix
 const __filename = fileURLToPath(import.meta.url);
@@ -45,6 +77,30 @@ let blogsCollection;
 let subscribersCollection;
 let contactsCollection;
 let activitiesCollection;
+let revisionsCollection;
+let commentsCollection;
+let commentLikesCollection;
+let moderationCollection;
+let bansCollection;
+let submissionsCollection;
+let reactionsCollection;
+let newslettersCollection;
+let deliveriesCollection;
+let ticketsCollection;
+let ticketMessagesCollection;
+let countersCollection;
+let notificationsCollection;
+let mediaCollection;
+let blogViewsCollection;
+let categoriesCollection;
+let tagsCollection;
+let seriesCollection;
+let followsCollection;
+let readingListsCollection;
+let bookmarksCollection;
+let blogInvitationsCollection;
+let reviewNotesCollection;
+let dataExportsCollection;
 
 async function connectDB() {
   try {
@@ -61,6 +117,30 @@ async function connectDB() {
     subscribersCollection = db.collection("subscribers");
     contactsCollection = db.collection("contacts");
     activitiesCollection = db.collection("activities");
+    revisionsCollection = db.collection("blogRevisions");
+    commentsCollection = db.collection("comments");
+    commentLikesCollection = db.collection("commentLikes");
+    moderationCollection = db.collection("moderationQueue");
+    bansCollection = db.collection("bans");
+    submissionsCollection = db.collection("submissionFingerprints");
+    reactionsCollection = db.collection("reactions");
+    newslettersCollection = db.collection("newsletters");
+    deliveriesCollection = db.collection("newsletterDeliveries");
+    ticketsCollection = db.collection("supportTickets");
+    ticketMessagesCollection = db.collection("supportTicketMessages");
+    countersCollection = db.collection("counters");
+    notificationsCollection = db.collection("notifications");
+    mediaCollection = db.collection("media");
+    blogViewsCollection = db.collection("blogViews");
+    categoriesCollection = db.collection("categories");
+    tagsCollection = db.collection("tags");
+    seriesCollection = db.collection("series");
+    followsCollection = db.collection("follows");
+    readingListsCollection = db.collection("readingLists");
+    bookmarksCollection = db.collection("bookmarks");
+    blogInvitationsCollection = db.collection("blogInvitations");
+    reviewNotesCollection = db.collection("reviewNotes");
+    dataExportsCollection = db.collection("dataExports");
     
     console.log("✅ MongoDB connected and collections initialized");
     return db;
@@ -70,6 +150,308 @@ async function connectDB() {
   }
 }
 
+// Indexes + data migrations - শুধু startup এ একবার, connectDB আবার ডাকলেও এগুলো চলে না
+async function prepareDatabase() {
+  try {
+    await ensureIndexes();
+    await migrateBlogSortFields();
+    await migrateBlogStatuses();
+    await migrateEmbeddedReviews();
+    await migrateLikedUsers();
+    await migrateSubscribers();
+    await migrateSupportTickets();
+    await migrateBlogSlugs();
+    await migrateReadingStats();
+    await migrateTaxonomy();
+    await migrateRenderedContent();
+  } catch (err) {
+    console.error("❌ Database migration failed:", err);
+    process.exit(1);
+  }
+}
+
+// ✅ Indexes - createIndex idempotent, তাই প্রতিবার startup এ চালানো safe
+async function ensureIndexes() {
+  await blogsCollection.createIndex(
+    { title: "text", content: "text", tags: "text" },
+    { name: "blog_text_search", weights: { title: 10, tags: 5, content: 1 } }
+  );
+  await blogsCollection.createIndex({ status: 1, publishAt: 1 });
+  await revisionsCollection.createIndex({ blogId: 1, rev: 1 }, { unique: true });
+  await commentsCollection.createIndex({ blogId: 1, parentId: 1, createdAt: -1 });
+  await commentsCollection.createIndex({ rootId: 1, createdAt: 1 });
+  await commentsCollection.createIndex({ legacyReviewKey: 1 }, { unique: true, sparse: true });
+  await commentLikesCollection.createIndex({ commentId: 1, uid: 1 }, { unique: true });
+  await moderationCollection.createIndex({ status: 1, createdAt: -1 });
+  await bansCollection.createIndex({ email: 1 });
+  await bansCollection.createIndex({ uid: 1 });
+  // Fingerprints 24 ঘন্টা পর নিজে থেকেই মুছে যাবে
+  await submissionsCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+  await submissionsCollection.createIndex({ fingerprint: 1, createdAt: -1 });
+  await reactionsCollection.createIndex({ blogId: 1, uid: 1 }, { unique: true });
+  await reactionsCollection.createIndex({ uid: 1, createdAt: -1 });
+  await subscribersCollection.createIndex({ email: 1 });
+  await subscribersCollection.createIndex({ confirmTokenHash: 1 }, { sparse: true });
+  await newslettersCollection.createIndex({ status: 1, sendAt: 1 });
+  await deliveriesCollection.createIndex({ newsletterId: 1, subscriberId: 1 }, { unique: true });
+  await deliveriesCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+  await ticketsCollection.createIndex({ seq: 1 }, { unique: true, sparse: true });
+  await ticketsCollection.createIndex({ email: 1, createdAt: -1 });
+  await ticketsCollection.createIndex({ status: 1, "sla.resolutionDueAt": 1 });
+  await ticketMessagesCollection.createIndex({ ticketId: 1, createdAt: 1 });
+  await notificationsCollection.createIndex({ "recipient.uid": 1, read: 1, createdAt: -1 });
+  await notificationsCollection.createIndex({ "recipient.email": 1, read: 1, createdAt: -1 });
+  await mediaCollection.createIndex({ "owner.uid": 1, createdAt: -1 });
+  await blogsCollection.createIndex({ status: 1, publishedAt: -1 });
+  await blogsCollection.createIndex({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: "string" } } });
+  await blogsCollection.createIndex({ previousSlugs: 1 });
+  await blogsCollection.createIndex({ status: 1, "trending.updatedAt": -1 });
+  // একই visitor এর view dedup window শেষে নিজে থেকেই মুছে যায়
+  await blogViewsCollection.createIndex({ blogId: 1, visitor: 1 }, { unique: true });
+  await blogViewsCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: VIEW_DEDUP_WINDOW_SECONDS });
+  await categoriesCollection.createIndex({ slug: 1 }, { unique: true });
+  await tagsCollection.createIndex({ count: -1 });
+  await blogsCollection.createIndex({ "series.id": 1, "series.order": 1 });
+  await blogsCollection.createIndex({ category: 1, status: 1 });
+  await followsCollection.createIndex({ followerUid: 1, targetType: 1, target: 1 }, { unique: true });
+  await followsCollection.createIndex({ targetType: 1, target: 1, createdAt: -1 });
+  await blogsCollection.createIndex({ "author.uid": 1, status: 1, publishedAt: -1 });
+  await readingListsCollection.createIndex({ uid: 1, name: 1 }, { unique: true });
+  await readingListsCollection.createIndex({ uid: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+  await bookmarksCollection.createIndex({ listId: 1, blogId: 1 }, { unique: true });
+  await bookmarksCollection.createIndex({ uid: 1, blogId: 1 });
+  await bookmarksCollection.createIndex({ blogId: 1 });
+  await blogsCollection.createIndex({ "coAuthors.uid": 1 });
+  await blogInvitationsCollection.createIndex({ email: 1, status: 1, createdAt: -1 });
+  await blogInvitationsCollection.createIndex({ blogId: 1, email: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+  await reviewNotesCollection.createIndex({ blogId: 1, resolved: 1, createdAt: 1 });
+  await dataExportsCollection.createIndex({ uid: 1, createdAt: -1 });
+  await dataExportsCollection.createIndex({ status: 1, createdAt: 1 });
+  // Trash listing আর purge job এর জন্য; বেশিরভাগ document এ field ই নেই তাই sparse
+  for (const collection of [blogsCollection, usersCollection, contactsCollection, subscribersCollection, ticketsCollection]) {
+    await collection.createIndex({ deletedAt: 1 }, { sparse: true });
+  }
+}
+
+// Cursor pagination $lt/$gt দিয়ে চলে, field না থাকলে সেই blog পরের page এ আর আসে না
+// তাই sort করা যায় এমন fields পুরনো blogs এ বসিয়ে দেই (createdAt না থাকলে ObjectId এর সময়)
+async function migrateBlogSortFields() {
+  const likes = await blogsCollection.updateMany({ likes: null }, { $set: { likes: 0 } });
+  const created = await blogsCollection.updateMany({ createdAt: null }, [{ $set: { createdAt: { $toDate: "$_id" } } }]);
+  if (likes.modifiedCount + created.modifiedCount > 0) {
+    console.log(`🔄 Backfilled sort fields on ${likes.modifiedCount + created.modifiedCount} blogs`);
+  }
+}
+
+// Workflow আসার আগের blogs এ status নেই - ওগুলো আগে থেকেই public ছিল, তাই published ধরি
+async function migrateBlogStatuses() {
+  const result = await blogsCollection.updateMany({ status: { $exists: false } }, [
+    { $set: { status: "published", publishedAt: { $ifNull: ["$createdAt", "$$NOW"] } } },
+  ]);
+  if (result.modifiedCount > 0) {
+    console.log(`🔄 Marked ${result.modifiedCount} legacy blogs as published`);
+  }
+}
+
+// আগের embedded blog.reviews গুলো comments collection এ সরিয়ে দেয়
+async function migrateEmbeddedReviews() {
+  const blogs = await blogsCollection.find({ "reviews.0": { $exists: true } }).toArray();
+  for (const blog of blogs) {
+    const comments = blog.reviews.map((review, index) => {
+      const date = review.date ? new Date(review.date) : blog.createdAt || new Date();
+      const rating = Number(review.rating);
+      return {
+        blogId: blog._id,
+        parentId: null,
+        rootId: null,
+        depth: 0,
+        author: {
+          uid: review.uid || "legacy",
+          email: review.email || null,
+          name: review.userName || "Guest",
+          photoURL: review.userImage || DEFAULT_AVATAR,
+        },
+        content: String(review.comment || ""),
+        rating: Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null,
+        likes: 0,
+        replyCount: 0,
+        deleted: false,
+        createdAt: date,
+        updatedAt: date,
+        // $unset এর আগে crash করলে আবার চালালেও duplicate না হয়
+        legacyReviewKey: `${blog._id}:${index}`,
+      };
+    });
+    await commentsCollection.bulkWrite(
+      comments.map((comment) => ({
+        updateOne: { filter: { legacyReviewKey: comment.legacyReviewKey }, update: { $setOnInsert: comment }, upsert: true },
+      }))
+    );
+    await blogsCollection.updateOne({ _id: blog._id }, { $unset: { reviews: "" } });
+  }
+  if (blogs.length > 0) {
+    console.log(`🔄 Moved embedded reviews of ${blogs.length} blogs into comments`);
+  }
+}
+
+// Blog এর likedUsers array থেকে reactions collection এ সরানো
+async function migrateLikedUsers() {
+  const blogs = await blogsCollection.find({ likedUsers: { $exists: true } }).toArray();
+  for (const blog of blogs) {
+    const uids = [...new Set((blog.likedUsers || []).filter(Boolean))];
+    if (uids.length > 0) {
+      await reactionsCollection
+        .insertMany(
+          uids.map((uid) => ({ blogId: blog._id, uid, type: "like", createdAt: blog.createdAt || new Date() })),
+          { ordered: false }
+        )
+        .catch((err) => {
+          if (err.code !== 11000) throw err;
+        });
+    }
+    const likeCount = await reactionsCollection.countDocuments({ blogId: blog._id, type: "like" });
+    await blogsCollection.updateOne(
+      { _id: blog._id },
+      { $set: { likes: likeCount, "reactionCounts.like": likeCount }, $unset: { likedUsers: "" } }
+    );
+  }
+  if (blogs.length > 0) {
+    console.log(`🔄 Moved likedUsers of ${blogs.length} blogs into reactions`);
+  }
+}
+
+// Double opt-in এর আগের subscribers সবাই active ধরে নেই
+async function migrateSubscribers() {
+  const result = await subscribersCollection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "active" } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔄 Marked ${result.modifiedCount} legacy subscribers as active`);
+  }
+}
+
+// আগে tickets contacts collection এ থাকত (ticketNumber দিয়ে চেনা যায়) - নিজস্ব collection এ সরানো
+async function migrateSupportTickets() {
+  const legacy = await contactsCollection.find({ ticketNumber: { $exists: true } }).toArray();
+  for (const ticket of legacy) {
+    const createdAt = ticket.createdAt || new Date();
+    await ticketsCollection.updateOne(
+      { _id: ticket._id },
+      {
+        $setOnInsert: {
+          ...ticket,
+          status: ticket.status || "open",
+          priority: ticket.priority || "medium",
+          assignee: null,
+          sla: ticketSla(ticket.priority || "medium", createdAt),
+          firstResponseAt: null,
+          resolvedAt: null,
+        },
+      },
+      { upsert: true }
+    );
+    await ticketMessagesCollection.updateOne(
+      { ticketId: ticket._id, authorRole: "customer" },
+      {
+        $setOnInsert: {
+          ticketId: ticket._id,
+          author: { uid: null, email: ticket.email, name: ticket.name },
+          authorRole: "customer",
+          message: ticket.message,
+          createdAt,
+        },
+      },
+      { upsert: true }
+    );
+    await contactsCollection.deleteOne({ _id: ticket._id });
+  }
+  if (legacy.length > 0) {
+    console.log(`🔄 Moved ${legacy.length} support tickets out of contacts`);
+  }
+
+  // TICKET_STATUSES এর বাইরের পুরনো status (pending, done ইত্যাদি) থাকলে কোনো transition হয় না - open এ ফেরাই
+  const unknown = await ticketsCollection.updateMany({ status: { $nin: TICKET_STATUSES } }, { $set: { status: "open" } });
+  if (unknown.modifiedCount > 0) {
+    console.log(`🔄 Reset ${unknown.modifiedCount} tickets with unknown status to open`);
+  }
+}
+
+// Slug ছাড়া পুরনো blogs এ title থেকে slug বসাই (পুরনোগুলো আগে, যাতে তারা ছোট slug পায়)
+async function migrateBlogSlugs() {
+  const blogs = await blogsCollection
+    .find({ slug: { $exists: false } }, { projection: { title: 1 } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  for (const blog of blogs) {
+    await blogsCollection.updateOne({ _id: blog._id }, { $set: { slug: await uniqueBlogSlug(blog.title, blog._id) } });
+  }
+  if (blogs.length > 0) {
+    console.log(`🔄 Generated slugs for ${blogs.length} blogs`);
+  }
+}
+
+// পুরনো blogs এ word count / reading time নেই - একবার হিসাব করে বসাই
+async function migrateReadingStats() {
+  const blogs = await blogsCollection.find({ wordCount: { $exists: false } }, { projection: { content: 1 } }).toArray();
+  for (const blog of blogs) {
+    await blogsCollection.updateOne({ _id: blog._id }, { $set: contentStats(blog.content) });
+  }
+  if (blogs.length > 0) {
+    console.log(`🔄 Computed reading stats for ${blogs.length} blogs`);
+  }
+
+  // views ছাড়া blogs sort=views এর cursor pagination এ হারিয়ে যায়
+  const views = await blogsCollection.updateMany({ views: null }, { $set: { views: 0 } });
+  if (views.modifiedCount > 0) {
+    console.log(`🔄 Backfilled views on ${views.modifiedCount} blogs`);
+  }
+}
+
+// আগে category / tags যা খুশি string ছিল: tags normalize, প্রতিটা আলাদা category এর জন্য
+// category document বানিয়ে blog এ slug বসাই, তারপর tag registry নতুন করে গুনি
+// Data দেখে বোঝা যায় না কোনটা পুরনো, তাই একবার চলেছে কিনা migrations collection এ লিখে রাখি
+async function migrateTaxonomy() {
+  const migrations = db.collection("migrations");
+  if (await migrations.findOne({ _id: "taxonomy" })) return;
+
+  const blogs = await blogsCollection.find({}, { projection: { tags: 1, category: 1 } }).toArray();
+  for (const blog of blogs) {
+    const set = {};
+    if (Array.isArray(blog.tags)) set.tags = normalizeTags(blog.tags);
+    if (typeof blog.category === "string" && blog.category.trim()) {
+      const slug = slugify(blog.category);
+      await categoriesCollection.updateOne(
+        { slug },
+        { $setOnInsert: { name: blog.category.trim(), slug, description: "", createdAt: new Date() } },
+        { upsert: true }
+      );
+      set.category = slug;
+    }
+    if (Object.keys(set).length) await blogsCollection.updateOne({ _id: blog._id }, { $set: set });
+  }
+
+  const counts = await blogsCollection
+    .aggregate([{ $match: NOT_DELETED }, { $unwind: "$tags" }, { $group: { _id: "$tags", count: { $sum: 1 } } }])
+    .toArray();
+  await tagsCollection.deleteMany({});
+  if (counts.length) await tagsCollection.insertMany(counts.map((t) => ({ ...t, updatedAt: new Date() })));
+  await migrations.insertOne({ _id: "taxonomy", completedAt: new Date() });
+  console.log(`🔄 Normalized tags/categories of ${blogs.length} blogs`);
+}
+
+// Rendering আসার আগের blogs এর content HTML হিসেবে sanitize করে contentHtml বসাই (source বদলাই না)
+async function migrateRenderedContent() {
+  const blogs = await blogsCollection.find({ contentHtml: { $exists: false } }, { projection: { content: 1 } }).toArray();
+  for (const blog of blogs) {
+    const { html, toc, excerpt } = renderContent(blog.content, "html");
+    await blogsCollection.updateOne({ _id: blog._id }, { $set: { contentFormat: "html", contentHtml: html, toc, excerpt } });
+  }
+  if (blogs.length > 0) {
+    console.log(`🔄 Sanitized content of ${blogs.length} legacy blogs`);
+  }
+}
+
 // ✅ SIMPLIFIED getCollections function
 async function getCollections() {
   if (!db) {
@@ -80,7 +462,31 @@ async function getCollections() {
     blogsCollection,
     subscribersCollection,
     contactsCollection,
-    activitiesCollection
+    activitiesCollection,
+    revisionsCollection,
+    commentsCollection,
+    commentLikesCollection,
+    moderationCollection,
+    bansCollection,
+    submissionsCollection,
+    reactionsCollection,
+    newslettersCollection,
+    deliveriesCollection,
+    ticketsCollection,
+    ticketMessagesCollection,
+    countersCollection,
+    notificationsCollection,
+    mediaCollection,
+    blogViewsCollection,
+    categoriesCollection,
+    tagsCollection,
+    seriesCollection,
+    followsCollection,
+    readingListsCollection,
+    bookmarksCollection,
+    blogInvitationsCollection,
+    reviewNotesCollection,
+    dataExportsCollection
   };
 }
 
@@ -88,6 +494,11 @@ async function getCollections() {
 const PORT = process.env.PORT || 5000;
 async function startServer() {
   await connectDB(); // MongoDB আগে connect হবে
+  await prepareDatabase();
+  startBlogScheduler();
+  startNewsletterWorker();
+  startTrashPurger();
+  startExportWorker();
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
   });
@@ -96,7 +507,7 @@ async function startServer() {
 startServer();
 
 // Activity Logger
-async function logActivity({ user, type, message, blogId = null }) {
+async function logActivity({ user, type, message, blogId = null, notify = true }) {
   const { activitiesCollection } = await getCollections();
   const activity = {
     user: {
@@ -110,6 +521,17 @@ async function logActivity({ user, type, message, blogId = null }) {
   };
   await activitiesCollection.insertOne(activity);
   console.log("🟢 Activity Logged:", message);
+  if (notify) {
+    await notifyBlogAuthor({ user, type, message, blogId }).catch((err) =>
+      console.error("❌ Notification failed:", err.message)
+    );
+  }
+}
+
+// ✅ Development mode: token ছাড়া request এ এই user বসে - protected আর public route দুই জায়গাতেই একই
+function devUserWithoutToken() {
+  if (process.env.NODE_ENV === "production") return null;
+  return { uid: "devUser", name: "Development User", role: process.env.DEV_USER_ROLE || "user" };
 }
 
 const verifyFirebaseToken = async (req, res, next) => {
@@ -119,9 +541,10 @@ const verifyFirebaseToken = async (req, res, next) => {
   try {
     if (!authHeader) {
       // ✅ Development mode: skip verification if no token
-      if (process.env.NODE_ENV !== "production") {
+      const devUser = devUserWithoutToken();
+      if (devUser) {
         console.warn("⚠️ No token provided, skipping verification in dev mode");
-        req.user = { uid: "devUser", name: "Development User" };
+        req.user = devUser;
         return next();
       }
       // Production mode: reject
@@ -131,18 +554,445 @@ const verifyFirebaseToken = async (req, res, next) => {
     const token = authHeader.split(" ")[1];
     const decoded = await admin.auth().verifyIdToken(token);
     req.user = decoded;
-    next();
   } catch (err) {
     console.error("❌ Token verification failed:", err.message);
-    res.status(401).json({ success: false, message: "Invalid or expired token" });
+    return res.status(401).json({ success: false, message: "Invalid or expired token" });
+  }
+
+  // Valid token হলেও suspended / banned / deleted account আটকাই
+  try {
+    const block = await accountBlock(req.user.uid);
+    if (block) return res.status(403).json({ success: false, ...block });
+  } catch (err) {
+    console.error("❌ Account status check failed:", err.message);
+    return res.status(500).json({ success: false, message: "Server error" });
+  }
+  next();
+};
+
+// ✅ Role-based access control - user < author < editor < admin
+const ROLE_HIERARCHY = ["user", "author", "editor", "admin"];
+
+function roleRank(role) {
+  return ROLE_HIERARCHY.indexOf(role);
+}
+
+function hasRole(user, minRole) {
+  return roleRank(user?.role) >= roleRank(minRole);
+}
+
+// Role টা Firebase custom claim এ রাখি, যাতে প্রতি request এ DB lookup না লাগে
+async function syncRoleClaim(uid, role) {
+  const fbUser = await admin.auth().getUser(uid);
+  await admin.auth().setCustomUserClaims(uid, { ...(fbUser.customClaims || {}), role });
+}
+
+// Claim ছাড়া পুরনো token হলে একবার DB থেকে role এনে claim sync করে দেই
+async function resolveUserRole(req) {
+  if (ROLE_HIERARCHY.includes(req.user.role)) return req.user.role;
+
+  const { usersCollection } = await getCollections();
+  const or = [{ uid: req.user.uid }];
+  if (req.user.email) or.push({ email: req.user.email });
+  const dbUser = await usersCollection.findOne({ $or: or });
+
+  const role = ROLE_HIERARCHY.includes(dbUser?.role) ? dbUser.role : "user";
+  if (dbUser && req.user.firebase) {
+    syncRoleClaim(req.user.uid, role).catch((err) =>
+      console.error("❌ Role claim sync failed:", err.message)
+    );
+  }
+  req.user.role = role;
+  return role;
+}
+
+// verifyFirebaseToken + role check; hierarchy তে minRole বা তার উপরে হলে pass
+function requireRole(minRole) {
+  return [
+    verifyFirebaseToken,
+    async (req, res, next) => {
+      try {
+        const role = await resolveUserRole(req);
+        if (roleRank(role) < roleRank(minRole)) {
+          return res.status(403).json({ success: false, message: `Access denied: ${minRole} role required` });
+        }
+        next();
+      } catch (err) {
+        console.error("❌ Role check failed:", err);
+        res.status(500).json({ success: false, message: "Server error" });
+      }
+    },
+  ];
+}
+
+// Blog এর আসল author - co-author না
+function isBlogOwner(user, blog) {
+  if (blog.author?.uid && blog.author.uid === user.uid) return true;
+  return Boolean(user.email && blog.author?.email === user.email);
+}
+
+function isCoAuthor(user, blog) {
+  return (blog.coAuthors || []).some((c) => (c.uid && c.uid === user.uid) || (user.email && c.email === user.email));
+}
+
+// Blog এর মালিক, co-author অথবা editor/admin
+function canManageBlog(user, blog) {
+  if (isBlogOwner(user, blog) || isCoAuthor(user, blog)) return true;
+  return hasRole(user, "editor");
+}
+
+// Users collection এ _id কখনো ObjectId, কখনো Firebase uid string
+function userIdFilter(id) {
+  if (/^[a-f\d]{24}$/i.test(id)) return { _id: new ObjectId(id) };
+  return { $or: [{ _id: id }, { uid: id }] };
+}
+
+// DB + custom claim দুই জায়গাতেই role update
+async function setUserRole(filter, role) {
+  const { usersCollection } = await getCollections();
+  const result = await usersCollection.updateOne(filter, { $set: { role, last_updated: new Date() } });
+  if (result.matchedCount === 0) return null;
+
+  const user = await usersCollection.findOne(filter);
+  if (user?.uid) {
+    await syncRoleClaim(user.uid, role).catch((err) =>
+      console.error("❌ Role claim sync failed:", err.message)
+    );
+  }
+  return user;
+}
+
+// Public route এ token থাকলে user attach করে, না থাকলে guest হিসেবেই চলতে দেয়
+async function attachUserIfPresent(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    req.user = devUserWithoutToken() || undefined;
+    return next();
+  }
+
+  try {
+    req.user = await admin.auth().verifyIdToken(authHeader.split(" ")[1]);
+    // Blocked account public route এ guest হিসেবে চলে
+    if (await accountBlock(req.user.uid)) req.user = undefined;
+    else await resolveUserRole(req);
+  } catch (err) {
+    console.warn("⚠️ Ignoring invalid token on public route:", err.message);
+    req.user = undefined;
+  }
+  next();
+}
+
+// ✅ Pagination helpers - page/limit অথবা opaque cursor দুটোই চলে
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+// Cursor এর ভিতরে Date / ObjectId টাইপ হারিয়ে না যায় তাই tag করে রাখি
+function serializeCursorValue(value) {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof ObjectId) return { o: value.toHexString() };
+  return { v: value ?? null };
+}
+
+function deserializeCursorValue(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Malformed cursor value");
+  if ("d" in raw) return new Date(raw.d);
+  if ("o" in raw) return new ObjectId(raw.o);
+  return raw.v;
+}
+
+function encodeCursor(doc, sortField) {
+  const payload = {
+    s: serializeCursorValue(doc[sortField]),
+    i: serializeCursorValue(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  return { value: deserializeCursorValue(payload.s), id: deserializeCursorValue(payload.i) };
+}
+
+// Query string থেকে pagination options বের করে; ভুল হলে { error } ফেরত দেয়
+function parsePagination(query, { sortFields = ["createdAt"], defaultSort = "createdAt" } = {}) {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_LIMIT, 1),
+    MAX_PAGE_LIMIT
+  );
+  const sortField = query.sort || defaultSort;
+  if (!sortFields.includes(sortField)) {
+    return { error: `Invalid sort field. Allowed: ${sortFields.join(", ")}` };
+  }
+  const sortOrder = query.order === "asc" ? 1 : -1;
+
+  if (query.cursor) {
+    try {
+      const cursor = decodeCursor(query.cursor);
+      return { limit, sortField, sortOrder, cursor, page: null, skip: 0 };
+    } catch (err) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  return { limit, sortField, sortOrder, cursor: null, page, skip: (page - 1) * limit };
+}
+
+// Cursor এর পরের documents আনার filter (sort field + _id tie-breaker)
+function cursorFilter({ cursor, sortField, sortOrder }) {
+  if (!cursor) return {};
+  const op = sortOrder === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [sortField]: { [op]: cursor.value } },
+      { [sortField]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+function pageEnvelope(items, total, pagination) {
+  const hasMore = items.length > pagination.limit;
+  const data = hasMore ? items.slice(0, pagination.limit) : items;
+  return {
+    success: true,
+    data,
+    total,
+    page: pagination.page,
+    limit: pagination.limit,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], pagination.sortField) : null,
+  };
+}
+
+async function paginateFind(collection, filter, pagination, { projection } = {}) {
+  const { sortField, sortOrder, skip, limit } = pagination;
+  const [items, total] = await Promise.all([
+    collection
+      .find({ $and: [filter, cursorFilter(pagination)] }, { projection })
+      .sort({ [sortField]: sortOrder, _id: sortOrder })
+      .skip(skip)
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+  return pageEnvelope(items, total, pagination);
+}
+
+// Aggregation এর শেষে pagination stage গুলো বসায়; pipeline এর output এ _id unique হতে হবে
+async function paginateAggregate(collection, pipeline, pagination) {
+  const { sortField, sortOrder, skip, limit } = pagination;
+  const [items, counted] = await Promise.all([
+    collection
+      .aggregate([
+        ...pipeline,
+        { $match: cursorFilter(pagination) },
+        { $sort: { [sortField]: sortOrder, _id: sortOrder } },
+        { $skip: skip },
+        { $limit: limit + 1 },
+      ])
+      .toArray(),
+    collection.aggregate([...pipeline, { $count: "total" }]).toArray(),
+  ]);
+  return pageEnvelope(items, counted[0]?.total || 0, pagination);
+}
+
+// ✅ Request validation - প্রতিটা route এর params/query/body declarative schema দিয়ে check
+// Rule: { type, required, enum, min, max, minLength, maxLength, pattern, items, maxItems }
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// একটা value rule অনুযায়ী check + coerce করে; { value } অথবা { error }
+function checkField(name, value, rule) {
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "objectId": {
+      if (typeof value !== "string") return { error: `${name} must be a string` };
+      value = value.trim();
+      if (rule.required && !value) return { error: `${name} is required` };
+      if (rule.type === "email" && !EMAIL_PATTERN.test(value)) return { error: `${name} must be a valid email` };
+      if (rule.type === "objectId" && !OBJECT_ID_PATTERN.test(value)) return { error: `${name} must be a valid ID` };
+      if (rule.minLength && value.length < rule.minLength) {
+        return { error: `${name} must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `${name} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(value)) return { error: `${name} has an invalid format` };
+      break;
+    }
+    case "integer":
+    case "number": {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof num !== "number" || Number.isNaN(num)) return { error: `${name} must be a number` };
+      if (rule.type === "integer" && !Number.isInteger(num)) return { error: `${name} must be an integer` };
+      if (rule.min !== undefined && num < rule.min) return { error: `${name} must be at least ${rule.min}` };
+      if (rule.max !== undefined && num > rule.max) return { error: `${name} must be at most ${rule.max}` };
+      value = num;
+      break;
+    }
+    case "boolean": {
+      if (value === "true" || value === "false") value = value === "true";
+      if (typeof value !== "boolean") return { error: `${name} must be true or false` };
+      break;
+    }
+    case "date": {
+      const date = new Date(value);
+      if ((typeof value !== "string" && typeof value !== "number") || isNaN(date.getTime())) {
+        return { error: `${name} must be a valid date` };
+      }
+      value = date;
+      break;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return { error: `${name} must be an array` };
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return { error: `${name} must have at most ${rule.maxItems} items` };
+      }
+      if (rule.items) {
+        const items = [];
+        for (let i = 0; i < value.length; i++) {
+          const item = checkField(`${name}[${i}]`, value[i], rule.items);
+          if (item.error) return item;
+          items.push(item.value);
+        }
+        value = items;
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown validation type: ${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `${name} must be one of: ${rule.enum.join(", ")}` };
   }
+  return { value };
+}
+
+// Schema তে নেই এমন key বাদ (whitelist); errors এ { field, message } জমা হয়
+function validateSection(schema, source, location, errors) {
+  const clean = {};
+  Object.entries(schema).forEach(([key, rule]) => {
+    const raw = source?.[key];
+    // Body তে optional field এ "" মানে field খালি করা; query string এ ?x= মানে না দেওয়াই
+    const absent = raw === "" && (rule.required || location !== "body");
+    if (raw === undefined || raw === null || absent) {
+      if (rule.required) errors.push({ field: `${location}.${key}`, message: `${key} is required` });
+      else if (raw === null && rule.nullable) clean[key] = null;
+      return;
+    }
+    const result = checkField(key, raw, rule);
+    if (result.error) errors.push({ field: `${location}.${key}`, message: result.error });
+    else clean[key] = result.value;
+  });
+  return clean;
+}
+
+// validateRequest({ params, query, body }) - params/body sanitized হয়ে replace হয়;
+// query শুধু check হয় (Express এ req.query read-only হতে পারে), parsed value থাকে req.validQuery তে
+function validateRequest({ params, query, body }) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleanParams = params ? validateSection(params, req.params, "params", errors) : null;
+    const cleanQuery = query ? validateSection(query, req.query, "query", errors) : null;
+    const cleanBody = body ? validateSection(body, req.body, "body", errors) : null;
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors });
+    }
+    if (cleanParams) req.params = { ...req.params, ...cleanParams };
+    if (cleanQuery) req.validQuery = cleanQuery;
+    if (cleanBody) req.body = cleanBody;
+    next();
+  };
+}
+
+// Reusable schema অংশ
+const idParams = { id: { type: "objectId", required: true } };
+const paginationQuery = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1 },
+  cursor: { type: "string", maxLength: 500 },
+  sort: { type: "string", maxLength: 50 },
+  order: { type: "string", enum: ["asc", "desc"] },
 };
+const blogListQuery = {
+  ...paginationQuery,
+  author: { type: "email" },
+  tag: { type: "string", maxLength: 50 },
+  category: { type: "string", maxLength: 50 },
+  status: { type: "string", maxLength: 20 },
+  from: { type: "date" },
+  to: { type: "date" },
+};
+// Blog এ client যা লিখতে পারে - author, likes, status ইত্যাদি server নিজে manage করে
+const blogWritableFields = {
+  title: { type: "string", maxLength: 200 },
+  content: { type: "string", maxLength: 200000 },
+  description: { type: "string", maxLength: 1000 },
+  image: { type: "string", maxLength: 2000 },
+  coverImage: { type: "string", maxLength: 2000 },
+  category: { type: "string", maxLength: 50 },
+  tags: { type: "array", maxItems: 20, items: { type: "string", maxLength: 50 } },
+  contentFormat: { type: "string", enum: ["markdown", "html"] },
+};
+const userProfileFields = {
+  name: { type: "string", maxLength: 100 },
+  displayName: { type: "string", maxLength: 100 },
+  photoURL: { type: "string", maxLength: 2000 },
+  bio: { type: "string", maxLength: 1000 },
+  location: { type: "string", maxLength: 100 },
+  website: { type: "string", maxLength: 500 },
+  phone: { type: "string", maxLength: 30 },
+  last_login: { type: "date" },
+};
+
+// ✅ Soft delete - delete করলে শুধু deletedAt বসে (trash); normal query গুলো NOT_DELETED দিয়ে এগুলো বাদ দেয়
+const NOT_DELETED = { deletedAt: null };
+const PUBLISHED_BLOG = { status: "published", ...NOT_DELETED };
+
+// Trash এ পাঠায়; আগেই trash এ থাকলে বা না পেলে null
+function softDelete(collection, filter, user) {
+  return collection.findOneAndUpdate(
+    { ...filter, ...NOT_DELETED },
+    { $set: { deletedAt: new Date(), deletedBy: { uid: user.uid, email: user.email || null } } },
+    { returnDocument: "after" }
+  );
+}
+
+// GET /blogs এর filter query params → MongoDB filter
+function buildBlogFilter(query) {
+  const filter = { ...NOT_DELETED };
+  if (query.author) filter["author.email"] = query.author;
+  if (query.tag) {
+    // "##" এর মতো tag normalize হয়ে null হয়; { tags: null } সব untagged blog মিলিয়ে দিত
+    filter.tags = normalizeTag(query.tag);
+    if (!filter.tags) return { error: "Invalid tag" };
+  }
+  if (query.category) filter.category = slugify(query.category);
+  if (query.status) {
+    if (!BLOG_STATUSES.includes(query.status)) {
+      return { error: `Invalid status. Allowed: ${BLOG_STATUSES.join(", ")}` };
+    }
+    filter.status = query.status;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+    if (Object.values(filter.createdAt).some((d) => isNaN(d.getTime()))) {
+      return { error: "Invalid date range" };
+    }
+  }
+  return { filter };
+}
 
 // Example protected route
-app.get("/users", verifyFirebaseToken, async (req, res) => {
+app.get("/users", requireRole("admin"), async (req, res) => {
   try {
     const { usersCollection } = await getCollections();
-    const users = await usersCollection.find().toArray();
+    const users = await usersCollection.find(NOT_DELETED).toArray();
     res.json({ success: true, data: users });
   } catch (err) {
     console.error(err);
@@ -153,7 +1003,7 @@ app.get("/users", verifyFirebaseToken, async (req, res) => {
 app.get("/", (req, res) => res.send("🚀 Blog API running"));
 
 // User role route
-app.get("/users/role", verifyFirebaseToken, async (req, res) => {
+app.get("/users/role", requireRole("user"), validateRequest({ query: { email: { type: "email", required: true } } }), async (req, res) => {
   try {
     const email = req.query.email;
     console.log("🔍 Fetching role for:", email);
@@ -173,8 +1023,17 @@ app.get("/users/role", verifyFirebaseToken, async (req, res) => {
   }
 });
 
+const adminUserUpdateSchema = {
+  params: { id: { type: "string", required: true, maxLength: 128 } },
+  body: {
+    ...userProfileFields,
+    role: { type: "string", enum: ROLE_HIERARCHY },
+    emailVerified: { type: "boolean" },
+  },
+};
+
 // ✅ ADD THIS USER UPDATE ROUTE - app.patch("/users/:id")
-app.patch("/users/:id/role", async (req, res) => {
+app.patch("/users/:id/role", requireRole("admin"), validateRequest(adminUserUpdateSchema), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -182,18 +1041,17 @@ app.patch("/users/:id/role", async (req, res) => {
     console.log("🔄 Updating user:", id);
     console.log("📦 Update data:", updateData);
 
-    // Validate ObjectId
-    if (!ObjectId.isValid(id)) {
+    if (updateData.role !== undefined && !ROLE_HIERARCHY.includes(updateData.role)) {
       return res.status(400).json({ 
         success: false, 
-        message: "Invalid user ID format" 
+        message: `Invalid role. Allowed: ${ROLE_HIERARCHY.join(", ")}` 
       });
     }
 
     const { usersCollection } = await getCollections();
 
     // Check if user exists
-    const existingUser = await usersCollection.findOne({ _id: new ObjectId(id) });
+    const existingUser = await usersCollection.findOne(userIdFilter(id));
     if (!existingUser) {
       return res.status(404).json({ 
         success: false, 
@@ -211,7 +1069,7 @@ app.patch("/users/:id/role", async (req, res) => {
 
     // Update user
     const result = await usersCollection.updateOne(
-      { _id: new ObjectId(id) },
+      userIdFilter(id),
       { 
         $set: {
           ...cleanUpdateData,
@@ -220,6 +1078,13 @@ app.patch("/users/:id/role", async (req, res) => {
       }
     );
 
+    // Role বদলালে custom claim ও sync
+    if (cleanUpdateData.role && existingUser.uid) {
+      await syncRoleClaim(existingUser.uid, cleanUpdateData.role).catch((err) =>
+        console.error("❌ Role claim sync failed:", err.message)
+      );
+    }
+
     console.log("✅ Update result:", result);
 
     if (result.modifiedCount === 0) {
@@ -230,7 +1095,7 @@ app.patch("/users/:id/role", async (req, res) => {
     }
 
     // Get updated user
-    const updatedUser = await usersCollection.findOne({ _id: new ObjectId(id) });
+    const updatedUser = await usersCollection.findOne(userIdFilter(id));
 
     res.json({ 
       success: true, 
@@ -248,8 +1113,18 @@ app.patch("/users/:id/role", async (req, res) => {
   }
 });
 
+const createUserSchema = {
+  body: {
+    ...userProfileFields,
+    uid: { type: "string", maxLength: 128 },
+    email: { type: "email", required: true },
+    role: { type: "string", enum: ROLE_HIERARCHY },
+    emailVerified: { type: "boolean" },
+  },
+};
+
 // ✅ FIXED Users Route - Simple and working
-app.post("/users", async (req, res) => {
+app.post("/users", requireRole("user"), validateRequest(createUserSchema), async (req, res) => {
   try {
     const user = req.body;
     console.log("📥 Creating user:", user);
@@ -258,6 +1133,12 @@ app.post("/users", async (req, res) => {
       return res.status(400).json({ message: "Email is required" });
     }
 
+    // নিজের account ই create করা যাবে, শুধু admin অন্যের জন্য পারে
+    const isAdmin = hasRole(req.user, "admin");
+    if (!isAdmin && req.user.email && req.user.email !== user.email) {
+      return res.status(403).json({ success: false, message: "You can only register your own account" });
+    }
+
     // ✅ Use the directly initialized collection
     const existingUser = await usersCollection.findOne({ 
       $or: [
@@ -283,7 +1164,7 @@ app.post("/users", async (req, res) => {
       name: user.name || user.displayName || "",
       displayName: user.displayName || user.name || "",
       photoURL: user.photoURL || "",
-      role: user.role || "user",
+      role: isAdmin && ROLE_HIERARCHY.includes(user.role) ? user.role : "user",
       emailVerified: user.emailVerified || false,
       created_at: new Date(),
       last_login: new Date()
@@ -307,11 +1188,22 @@ app.post("/users", async (req, res) => {
   }
 });
 
+const updateProfileSchema = {
+  params: { uid: { type: "string", required: true, maxLength: 128 } },
+  body: userProfileFields,
+};
+
 // ✅ FIXED User Update Route
-app.patch("/users/:uid", async (req, res) => {
+app.patch("/users/:uid", requireRole("user"), validateRequest(updateProfileSchema), async (req, res) => {
   try {
     const { uid } = req.params;
     const updateData = req.body;
+
+    if (req.user.uid !== uid && !hasRole(req.user, "admin")) {
+      return res.status(403).json({ success: false, message: "You can only update your own profile" });
+    }
+    // Role শুধু admin role route দিয়ে বদলানো যাবে
+    delete updateData.role;
     
     console.log("🔄 Updating user:", uid);
     console.log("📦 Update data:", updateData);
@@ -355,664 +1247,6566 @@ app.patch("/users/:uid", async (req, res) => {
 
 // Add these to your backend routes
 
-// Delete user
-app.delete("/admin/users/:id", verifyFirebaseToken, async (req, res) => {
+const userIdSchema = { params: { id: { type: "string", required: true, maxLength: 128 } } };
+
+// Delete user - trash এ যায়, retention শেষে purge (তার আগে /admin/trash/users থেকে restore করা যায়)
+app.delete("/admin/users/:id", requireRole("admin"), validateRequest(userIdSchema), async (req, res) => {
   try {
     const { usersCollection } = await getCollections();
-    
-    const result = await usersCollection.deleteOne({ 
-      _id: new ObjectId(req.params.id) 
-    });
-    
-    if (result.deletedCount === 0) {
+    // :id Mongo _id ও হতে পারে, তাই আগে user খুঁজে uid মিলাই
+    const existing = await usersCollection.findOne({ ...userIdFilter(req.params.id), ...NOT_DELETED });
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+    if (existing.uid === req.user.uid) {
+      return res.status(400).json({ success: false, message: "You cannot delete your own account" });
+    }
+
+    const user = await softDelete(usersCollection, { _id: existing._id }, req.user);
+    if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
+    // Trash এ থাকা অবস্থায় login করা যাবে না
+    invalidateAccountStatus(user.uid);
+    closeNotificationStreams(user.uid);
+    if (user.uid) await setFirebaseDisabled(user.uid, true);
     
-    res.json({ success: true, message: "User deleted successfully" });
+    res.json({ success: true, message: "User moved to trash" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Blogs
-app.get("/blogs", async (req, res) => {
+// ✅ Account lifecycle - suspend (মেয়াদ সহ), ban, আর পুরো account মুছে ফেলা
+// verifyFirebaseToken প্রতি request এ check করে; DB lookup কমাতে অল্প সময়ের cache
+const ACCOUNT_STATUS_CACHE_MS = 60 * 1000;
+const ACCOUNT_STATUS_CACHE_MAX = 10000;
+const accountStatusCache = new Map();
+
+function accountBlockOf(user) {
+  if (!user) return null;
+  if (user.deletedAt) return { message: "This account has been deleted" };
+  const restriction = user.restriction;
+  if (!restriction || (restriction.expiresAt && new Date(restriction.expiresAt) <= new Date())) return null;
+  return {
+    message: restriction.type === "banned" ? "Your account has been banned" : "Your account is suspended",
+    reason: restriction.reason,
+    expiresAt: restriction.expiresAt,
+  };
+}
+
+// Suspended / banned / deleted হলে { message, reason, expiresAt }, না হলে null
+async function accountBlock(uid) {
+  const cached = accountStatusCache.get(uid);
+  if (cached && cached.expires > Date.now()) return accountBlockOf(cached.user);
+  accountStatusCache.delete(uid);
+
+  const { usersCollection } = await getCollections();
+  const user = await usersCollection.findOne({ uid }, { projection: { restriction: 1, deletedAt: 1 } });
+  // Map insertion order রাখে, তাই ভরে গেলে সবচেয়ে পুরনো entry বাদ
+  if (accountStatusCache.size >= ACCOUNT_STATUS_CACHE_MAX) {
+    accountStatusCache.delete(accountStatusCache.keys().next().value);
+  }
+  accountStatusCache.set(uid, { user, expires: Date.now() + ACCOUNT_STATUS_CACHE_MS });
+  return accountBlockOf(user);
+}
+
+function invalidateAccountStatus(uid) {
+  accountStatusCache.delete(uid);
+}
+
+// Firebase এ না থাকা user (পুরনো import) হলে false, বাকি error উপরে যায়
+// revoke: চালু sessions শেষ করা (disable করলে সবসময়, suspend এ login চালু রেখেও)
+async function setFirebaseDisabled(uid, disabled, { revoke = disabled } = {}) {
   try {
-    const { blogsCollection } = await getCollections();
-    const allBlogs = await blogsCollection.find({}).toArray();
-    res.json(allBlogs);
+    await admin.auth().updateUser(uid, { disabled });
+    if (revoke) await admin.auth().revokeRefreshTokens(uid);
+    return true;
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server error" });
+    if (err.code === "auth/user-not-found") return false;
+    throw err;
   }
-});
+}
 
-app.patch("/blogs/:id", verifyFirebaseToken, async (req, res) => {
-  try {
-    const { blogsCollection } = await getCollections();
-    const { id } = req.params;
-    const updateData = req.body;
+// Permanent ban থাকলে restore/lift এর পরেও Firebase account বন্ধ থাকে
+function isPermanentlyBanned(user) {
+  return user.restriction?.type === "banned" && !user.restriction.expiresAt;
+}
 
-    const result = await blogsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
+const restrictUserSchema = {
+  params: userIdSchema.params,
+  body: {
+    reason: { type: "string", required: true, maxLength: 500 },
+    days: { type: "integer", min: 1, max: 3650 },
+  },
+};
 
-    if (result.modifiedCount === 0) {
-      return res.status(404).json({ success: false, message: "Blog not found or no changes made" });
+// Suspend এ days লাগবেই; ban এ days না দিলে permanent (Firebase account ও disable)
+for (const [action, type] of [["suspend", "suspended"], ["ban", "banned"]]) {
+  app.post(`/admin/users/:id/${action}`, requireRole("admin"), validateRequest(restrictUserSchema), async (req, res) => {
+    try {
+      const { reason, days } = req.body;
+      if (action === "suspend" && !days) {
+        return res.status(400).json({ success: false, message: "days is required for a suspension" });
+      }
+
+      const { usersCollection } = await getCollections();
+      const user = await usersCollection.findOne({ ...userIdFilter(req.params.id), ...NOT_DELETED });
+      if (!user) return res.status(404).json({ success: false, message: "User not found" });
+      if (user.uid === req.user.uid) {
+        return res.status(400).json({ success: false, message: `You cannot ${action} your own account` });
+      }
+      if (hasRole(user, "admin")) {
+        return res.status(403).json({ success: false, message: `Admins cannot be ${type}, demote them first` });
+      }
+
+      const now = new Date();
+      const restriction = {
+        type,
+        reason,
+        by: { uid: req.user.uid, email: req.user.email },
+        at: now,
+        expiresAt: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null,
+      };
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { restriction, last_updated: now }, $push: { restrictionHistory: restriction } }
+      );
+      invalidateAccountStatus(user.uid);
+      closeNotificationStreams(user.uid);
+      // চালু sessions শেষ; শুধু permanent ban এ Firebase login ও বন্ধ
+      if (user.uid) await setFirebaseDisabled(user.uid, isPermanentlyBanned({ restriction }), { revoke: true });
+
+      await logActivity({
+        user: req.user,
+        type: action.toUpperCase(),
+        message: `${req.user.email} ${type} ${user.email || user.uid}${days ? ` for ${days} days` : ""} (${reason})`,
+      });
+
+      res.json({ success: true, message: `User ${type}`, restriction });
+    } catch (err) {
+      console.error(`POST /admin/users/:id/${action} error:`, err);
+      res.status(500).json({ success: false, message: "Server error" });
     }
+  });
+}
+
+// Suspend / ban তুলে নেওয়া
+app.delete("/admin/users/:id/restriction", requireRole("admin"), validateRequest(userIdSchema), async (req, res) => {
+  try {
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOneAndUpdate(
+      { ...userIdFilter(req.params.id), restriction: { $ne: null } },
+      { $unset: { restriction: "" }, $set: { last_updated: new Date() } }
+    );
+    if (!user) return res.status(404).json({ success: false, message: "User is not suspended or banned" });
+
+    invalidateAccountStatus(user.uid);
+    if (user.uid && !user.deletedAt) await setFirebaseDisabled(user.uid, false);
 
-    res.json({ success: true, message: "Blog updated successfully" });
+    await logActivity({
+      user: req.user,
+      type: "REINSTATE",
+      message: `${req.user.email} lifted the ${user.restriction.type} of ${user.email || user.uid}`,
+    });
+    res.json({ success: true, message: "Restriction lifted" });
   } catch (err) {
-    console.error("PATCH /blogs/:id error:", err);
-    res.status(500).json({ success: false, message: "Internal Server Error" });
+    console.error("DELETE /admin/users/:id/restriction error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// Add blog
-app.post("/blogs", verifyFirebaseToken, async (req, res) => {
-  try {
-    const { blogsCollection } = await getCollections();
-    const blogData = req.body;
-    const user = req.user; // verifyFirebaseToken থেকে আসা logged-in user
 
-    // Blog insert
-    const result = await blogsCollection.insertOne({
-      ...blogData,
-      author: {
-        uid: user.uid,
-        email: user.email,
-      },
-      createdAt: new Date(),
+// User এর সব data মুছে / anonymize করে; কী কী গেল তার count ফেরত দেয়
+// blogs: "delete" হলে trash এ যায় (retention শেষে purge), "reassign" হলে reassignTo user এর নামে
+async function eraseUserAccount(user, { blogs = "delete", reassignTo = null, actor = null } = {}) {
+  const {
+    usersCollection, blogsCollection, blogInvitationsCollection, commentsCollection, commentLikesCollection, reactionsCollection,
+    followsCollection, bookmarksCollection, readingListsCollection, notificationsCollection, activitiesCollection, mediaCollection,
+    subscribersCollection, contactsCollection, dataExportsCollection, ticketsCollection, ticketMessagesCollection,
+  } = await getCollections();
+  const uid = user.uid || String(user._id);
+  const email = user.email || null;
+  const byUser = (field) => ({ $or: [{ [`${field}.uid`]: uid }, ...(email ? [{ [`${field}.email`]: email }] : [])] });
+  const now = new Date();
+  const report = {};
+
+  if (blogs === "reassign" && reassignTo) {
+    const result = await blogsCollection.updateMany(byUser("author"), {
+      $set: { author: { uid: reassignTo.uid, email: reassignTo.email }, reassignedFrom: { uid, email }, reassignedAt: now },
     });
+    report.blogsReassigned = result.modifiedCount;
+  } else {
+    const owned = await blogsCollection.find({ ...byUser("author"), ...NOT_DELETED }, { projection: { tags: 1 } }).toArray();
+    await blogsCollection.updateMany(
+      { _id: { $in: owned.map((blog) => blog._id) } },
+      { $set: { deletedAt: now, deletedBy: actor ? { uid: actor.uid, email: actor.email || null } : { uid: "system", email: null } } }
+    );
+    for (const blog of owned) await syncTagCountsSafely(blog.tags || [], []);
+    report.blogsTrashed = owned.length;
+  }
+  report.coAuthorships = (await blogsCollection.updateMany({ "coAuthors.uid": uid }, { $pull: { coAuthors: { uid } } })).modifiedCount;
+  if (email) await blogInvitationsCollection.deleteMany({ email: email.toLowerCase() });
+
+  // Thread ভাঙে না, তাই comment/review মুছে না ফেলে খালি আর anonymous করে দেই
+  report.commentsScrubbed = (
+    await commentsCollection.updateMany(byUser("author"), {
+      $set: {
+        author: { uid: null, email: null, name: "Deleted user", photoURL: DEFAULT_AVATAR },
+        content: "",
+        rating: null,
+        deleted: true,
+        deletedAt: now,
+      },
+    })
+  ).modifiedCount;
+
+  const commentLikes = await commentLikesCollection.find({ uid }).toArray();
+  for (const like of commentLikes) await commentsCollection.updateOne({ _id: like.commentId }, { $inc: { likes: -1 } });
+  report.commentLikes = (await commentLikesCollection.deleteMany({ uid })).deletedCount;
+
+  const reactions = await reactionsCollection.find({ uid }).toArray();
+  for (const reaction of reactions) await blogsCollection.updateOne({ _id: reaction.blogId }, reactionCounterUpdate(reaction.type, -1));
+  report.reactions = (await reactionsCollection.deleteMany({ uid })).deletedCount;
+  // Migration এর আগের data তে likedUsers এ uid অথবা email থাকতে পারে
+  const likedKeys = [uid, ...(email ? [email] : [])];
+  report.likedUsersEntries = (
+    await blogsCollection.updateMany({ likedUsers: { $in: likedKeys } }, { $pull: { likedUsers: { $in: likedKeys } } })
+  ).modifiedCount;
+
+  const following = await followsCollection.find({ followerUid: uid, targetType: "author" }).toArray();
+  for (const f of following) await usersCollection.updateOne({ uid: f.target }, { $inc: { followersCount: -1 } });
+  const followers = await followsCollection.find({ targetType: "author", target: uid }).toArray();
+  for (const f of followers) await usersCollection.updateOne({ uid: f.followerUid }, { $inc: { followingCount: -1 } });
+  report.follows = (await followsCollection.deleteMany({ $or: [{ followerUid: uid }, { targetType: "author", target: uid }] })).deletedCount;
+
+  report.bookmarks = (await bookmarksCollection.deleteMany({ uid })).deletedCount;
+  report.readingLists = (await readingListsCollection.deleteMany({ uid })).deletedCount;
+  report.notifications = (await notificationsCollection.deleteMany(notificationRecipientFilter({ uid, email }))).deletedCount;
+  report.activities = (await activitiesCollection.deleteMany({ "user.uid": uid })).deletedCount;
+
+  const media = await mediaCollection.find({ "owner.uid": uid }).toArray();
+  for (const item of media) await removeStoredMedia(item);
+  report.media = (await mediaCollection.deleteMany({ "owner.uid": uid })).deletedCount;
+
+  if (email) {
+    await cancelQueuedDeliveries({ email });
+    report.subscriptions = (await subscribersCollection.deleteMany({ email })).deletedCount;
+    report.contactMessages = (await contactsCollection.deleteMany({ email })).deletedCount;
+  }
 
-    // Log activity
-    await logActivity({
-      user,
-      type: "CREATE",
-      message: `${user.email} created a new blog`,
-      blogId: result.insertedId,
-    });
+  // নিজের tickets (conversation সহ) পুরো মুছে ফেলি; staff হিসেবে অন্যের ticket এ দেওয়া reply থাকে, শুধু নাম/email যায়
+  const ticketIds = await ticketsCollection.distinct("_id", { $or: [{ uid }, ...(email ? [{ email }] : [])] });
+  report.ticketMessages = (await ticketMessagesCollection.deleteMany({ ticketId: { $in: ticketIds } })).deletedCount;
+  await notificationsCollection.deleteMany({ ticketId: { $in: ticketIds } });
+  report.tickets = (await ticketsCollection.deleteMany({ _id: { $in: ticketIds } })).deletedCount;
+  report.ticketRepliesScrubbed = (
+    await ticketMessagesCollection.updateMany(byUser("author"), { $set: { author: { uid: null, email: null, name: "Deleted user" } } })
+  ).modifiedCount;
+  report.ticketAssignments = (await ticketsCollection.updateMany({ "assignee.uid": uid }, { $set: { assignee: null } })).modifiedCount;
+
+  // আগে বানানো data export ZIP গুলোতেও তার data আছে
+  const exportJobs = await dataExportsCollection.find({ uid }).toArray();
+  for (const job of exportJobs) await fs.promises.rm(exportFilePath(job), { force: true });
+  report.dataExports = (await dataExportsCollection.deleteMany({ uid })).deletedCount;
+
+  report.firebase = (await setFirebaseDisabled(uid, true)) ? "disabled" : "not_found";
+  await usersCollection.deleteOne({ _id: user._id });
+  invalidateAccountStatus(uid);
+  closeNotificationStreams(uid);
+
+  if (actor) {
+    await logActivity({ user: actor, type: "ACCOUNT_DELETE", message: `${actor.email} deleted the account of ${email || uid}` });
+  }
+  return report;
+}
+
+const eraseUserSchema = {
+  params: userIdSchema.params,
+  body: {
+    blogs: { type: "string", enum: ["delete", "reassign"] },
+    reassignTo: { type: "string", maxLength: 128 },
+  },
+};
+
+// POST /admin/users/:id/erase - trash এর অপেক্ষা না করে এখনই পুরো account মুছে ফেলা
+app.post("/admin/users/:id/erase", requireRole("admin"), validateRequest(eraseUserSchema), async (req, res) => {
+  try {
+    const { blogs = "delete", reassignTo } = req.body;
+    const { usersCollection } = await getCollections();
+    const user = await usersCollection.findOne(userIdFilter(req.params.id));
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+    if (user.uid === req.user.uid) {
+      return res.status(400).json({ success: false, message: "You cannot delete your own account" });
+    }
+
+    let target = null;
+    if (blogs === "reassign") {
+      if (!reassignTo) return res.status(400).json({ success: false, message: "reassignTo is required to reassign blogs" });
+      target = await usersCollection.findOne({ uid: reassignTo, ...NOT_DELETED });
+      if (!target || target.uid === user.uid) {
+        return res.status(400).json({ success: false, message: "reassignTo must be another existing user" });
+      }
+      if (!hasRole(target, "author")) {
+        return res.status(400).json({ success: false, message: "Blogs can only be reassigned to an author" });
+      }
+    }
 
-    res.status(201).json({ message: "Blog added", blogId: result.insertedId });
+    const report = await eraseUserAccount(user, { blogs, reassignTo: target, actor: req.user });
+    res.json({ success: true, message: "User account deleted", report });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Failed to add blog", error: err.message });
+    console.error("POST /admin/users/:id/erase error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Example route: Create Blog
-app.post("/blogs", async (req, res) => {
-  try {
-    const db = await connectDB();
-    const blogsCollection = db.collection("blogs");
+// Blogs
+// Client এর body দিয়ে এগুলো কখনো set হবে না - workflow / revision endpoints নিজেরাই manage করে
+const PROTECTED_BLOG_FIELDS = [
+  "status", "publishAt", "publishedAt", "currentRevision", "likes", "likedUsers", "reactionCounts", "slug", "previousSlugs",
+  "views", "trending", "wordCount", "readingTimeMinutes", "series", "contentHtml", "toc", "excerpt",
+  "coAuthors", "editLock", "editVersion", "review",
+];
+
+function stripProtectedBlogFields(data) {
+  PROTECTED_BLOG_FIELDS.forEach((field) => delete data[field]);
+  return data;
+}
 
-    const { title, content, author } = req.body;
+// ✅ Slugs - title থেকে একবারই বানাই, পরে title বদলালেও slug বদলায় না (পুরনো link ভাঙে না)
+// ইচ্ছা করে slug বদলালে পুরনোটা previousSlugs এ থাকে, সেখান থেকে redirect হয়
+const MAX_SLUG_LENGTH = 80;
+const SLUG_PATTERN = /^[\p{L}\p{M}\p{N}]+(?:-[\p{L}\p{M}\p{N}]+)*$/u;
+
+function slugify(text) {
+  const slug = String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, "");
+  return slug || "post";
+}
 
-    const newBlog = {
-      title,
-      content,
-      author,
-      createdAt: new Date(),
-    };
+// slug বা কোনো blog এর পুরনো slug এর সাথে না মিললে free; মিললে -2, -3 ... লাগাই
+async function uniqueBlogSlug(text, excludeId = null) {
+  const { blogsCollection } = await getCollections();
+  const base = slugify(text);
+  const taken = new Set(
+    (
+      await blogsCollection
+        .find(
+          {
+            $or: [{ slug: { $regex: `^${escapeRegex(base)}(-\\d+)?$` } }, { previousSlugs: { $regex: `^${escapeRegex(base)}(-\\d+)?$` } }],
+            ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+          },
+          { projection: { slug: 1, previousSlugs: 1 } }
+        )
+        .toArray()
+    ).flatMap((blog) => [blog.slug, ...(blog.previousSlugs || [])])
+  );
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+}
 
-    const result = await blogsCollection.insertOne(newBlog);
+// Slug বদলানো (editor/author নিজে চাইলে); { error } বা { slug } ফেরত দেয়
+async function changeBlogSlug(blog, requested) {
+  const slug = slugify(requested);
+  if (slug === blog.slug) return { slug };
 
-    // ✅ Log activity
-    await logActivity({
-      user: author,
-      type: "CREATE",
-      message: `${author?.email || "Someone"} created a new blog "${title}"`,
-      blogId: result.insertedId,
+  const { blogsCollection } = await getCollections();
+  const clash = await blogsCollection.findOne({
+    _id: { $ne: blog._id },
+    $or: [{ slug }, { previousSlugs: slug }],
+  });
+  if (clash) return { error: "Slug is already in use" };
+
+  // URL বদলালে sitemap lastmod / og:modified_time ও বদলাতে হয়
+  const update = { $set: { slug, updatedAt: new Date() }, $pull: { previousSlugs: slug } };
+  if (blog.slug) {
+    // একই update এ $pull আর $addToSet একই field এ চলে না, তাই দুই ধাপে
+    await blogsCollection.updateOne({ _id: blog._id }, { $addToSet: { previousSlugs: blog.slug } });
+  }
+  await blogsCollection.updateOne({ _id: blog._id }, update);
+  return { slug };
+}
+
+function blogUrl(blog) {
+  return `${FRONTEND_URL}/blogs/${blog.slug || blog._id}`;
+}
+
+// Frontend এর <head> এর জন্য canonical URL + Open Graph / Twitter meta
+function blogMeta(blog) {
+  const url = blogUrl(blog);
+  const description = blogExcerpt(blog, 160);
+  const image = blog.coverImage || blog.image || null;
+  return {
+    title: blog.title || "Untitled",
+    description,
+    canonicalUrl: url,
+    openGraph: {
+      "og:type": "article",
+      "og:title": blog.title || "Untitled",
+      "og:description": description,
+      "og:url": url,
+      "og:site_name": SITE_TITLE,
+      ...(image ? { "og:image": image } : {}),
+      "article:published_time": blog.publishedAt ? new Date(blog.publishedAt).toISOString() : undefined,
+      "article:modified_time": blog.updatedAt || blog.publishedAt ? blogModifiedAt(blog).toISOString() : undefined,
+      "article:author": blog.author?.name || blog.author?.email,
+      "article:tag": blog.tags || [],
+    },
+    twitter: {
+      card: image ? "summary_large_image" : "summary",
+      title: blog.title || "Untitled",
+      description,
+      ...(image ? { image } : {}),
+    },
+  };
+}
+
+// ✅ Taxonomy - admin এর বানানো categories, free-form (normalized) tags, ordered series
+const MAX_TAG_LENGTH = 50;
+
+// "  #Node JS " → "node-js"; খালি হলে null
+function normalizeTag(tag) {
+  const normalized = String(tag || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/[\s_]+/g, "-")
+    .replace(/[^\p{L}\p{M}\p{N}+#.-]/gu, "")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, MAX_TAG_LENGTH);
+  return normalized || null;
+}
+
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
+}
+
+// Client যা পাঠায় তা সরাসরি রাখি না: tags normalize, category অবশ্যই existing category (slug বা name দিয়ে)
+// { error } ফেরত দেয়, নাহলে data তেই ঠিক করা মান বসায়
+async function resolveBlogTaxonomy(data) {
+  if (data.tags !== undefined) data.tags = normalizeTags(data.tags);
+  if (data.category === undefined || data.category === "") {
+    if (data.category === "") data.category = null;
+    return {};
+  }
+
+  const { categoriesCollection } = await getCollections();
+  const category = await categoriesCollection.findOne({
+    $or: [{ slug: slugify(data.category) }, { name: { $regex: `^${escapeRegex(data.category.trim())}$`, $options: "i" } }],
+  });
+  if (!category) return { error: `Unknown category: ${data.category}` };
+  data.category = category.slug;
+  return {};
+}
+
+// Tag registry (autocomplete এর জন্য) - কতগুলো blog এ tag টা আছে
+async function syncTagCounts(before = [], after = []) {
+  const removed = before.filter((tag) => !after.includes(tag));
+  const added = after.filter((tag) => !before.includes(tag));
+  if (removed.length === 0 && added.length === 0) return;
+
+  const { tagsCollection } = await getCollections();
+  const now = new Date();
+  await Promise.all([
+    ...added.map((tag) =>
+      tagsCollection.updateOne({ _id: tag }, { $inc: { count: 1 }, $set: { updatedAt: now } }, { upsert: true })
+    ),
+    ...removed.map((tag) => tagsCollection.updateOne({ _id: tag }, { $inc: { count: -1 }, $set: { updatedAt: now } })),
+  ]);
+  if (removed.length) await tagsCollection.deleteMany({ _id: { $in: removed }, count: { $lte: 0 } });
+}
+
+function syncTagCountsSafely(before, after) {
+  return syncTagCounts(before, after).catch((err) => console.error("❌ Tag count sync failed:", err.message));
+}
+
+// ✅ Markdown rendering - source রাখি, পাশাপাশি sanitized HTML + table of contents + excerpt save করি
+const TOC_MAX_DEPTH = 3;
+const EXCERPT_LENGTH = 300;
+
+// Renderer যা বানায় তার বাইরে কিছু যেতে দিই না (script, style, on* attributes, javascript: links সব বাদ)
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote", "pre", "code", "span",
+    "strong", "b", "em", "i", "del", "s", "sup", "sub", "mark", "ul", "ol", "li", "a", "img",
+    "table", "thead", "tbody", "tr", "th", "td", "figure", "figcaption", "input",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "class", "aria-hidden", "rel", "target"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    code: ["class"],
+    span: ["class"],
+    th: ["align"],
+    td: ["align"],
+    ol: ["start"],
+    input: ["type", "checked", "disabled"],
+    h1: ["id"], h2: ["id"], h3: ["id"], h4: ["id"], h5: ["id"], h6: ["id"],
+  },
+  allowedClasses: {
+    code: [/^hljs/, /^language-[\w-]+$/],
+    span: [/^hljs-[\w-]+$/],
+    a: ["heading-anchor"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // বাইরের link এ tabnabbing / SEO spam আটকাই
+    a: (tagName, attribs) => {
+      if (/^https?:\/\//i.test(attribs.href || "")) {
+        return { tagName, attribs: { ...attribs, rel: "noopener noreferrer nofollow", target: "_blank" } };
+      }
+      return { tagName, attribs };
+    },
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: "lazy" } }),
+    // Markdown task list এর checkbox ছাড়া অন্য input চাই না
+    input: (tagName, attribs) =>
+      attribs.type === "checkbox" ? { tagName, attribs: { ...attribs, disabled: "" } } : { tagName: "span", attribs: {} },
+  },
+};
+
+function sanitizeContentHtml(html) {
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'" };
+
+// TOC / excerpt এর জন্য plain text - anchor "#" আর code blocks বাদ
+function htmlToText(html) {
+  return String(html || "")
+    .replace(/<a class="heading-anchor"[^>]*>#<\/a>/g, "")
+    .replace(/<pre>[\s\S]*?<\/pre>/g, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(amp|lt|gt|quot|#39);/g, (match, entity) => HTML_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function truncateText(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+function highlightCode(code, lang) {
+  const language = String(lang || "").split(/\s/)[0].toLowerCase();
+  if (language && hljs.getLanguage(language)) {
+    return { html: hljs.highlight(code, { language, ignoreIllegals: true }).value, language };
+  }
+  return { html: escapeHtml(code), language: null };
+}
+
+// { html, toc, excerpt }; format "html" হলে শুধু sanitize (পুরনো blogs এর জন্য)
+function renderContent(source, format = "markdown") {
+  const toc = [];
+  let html;
+
+  if (format === "html") {
+    html = sanitizeContentHtml(String(source || ""));
+  } else {
+    // প্রতি render এ নতুন instance, যাতে heading id এর dedupe আর toc আলাদা থাকে
+    const usedIds = new Map();
+    const markdown = new Marked({
+      gfm: true,
+      renderer: {
+        heading({ tokens, depth, text }) {
+          const base = slugify(text);
+          const seen = usedIds.get(base) || 0;
+          usedIds.set(base, seen + 1);
+          const id = seen ? `${base}-${seen}` : base;
+          const inner = this.parser.parseInline(tokens);
+          if (depth <= TOC_MAX_DEPTH) toc.push({ id, level: depth, text: htmlToText(inner) });
+          return `<h${depth} id="${id}"><a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>${inner}</h${depth}>\n`;
+        },
+        code({ text, lang }) {
+          const { html: code, language } = highlightCode(text, lang);
+          const className = language ? `hljs language-${language}` : "hljs";
+          return `<pre><code class="${className}">${code}</code></pre>\n`;
+        },
+      },
     });
+    html = sanitizeContentHtml(markdown.parse(String(source || "")));
+  }
+
+  return { html, toc, excerpt: truncateText(htmlToText(html), EXCERPT_LENGTH) };
+}
+
+// Content বা format বদলালে rendered fields আবার বানাই; existing = আগের blog (format এর জন্য)
+function withRenderedContent(data, existing = null) {
+  if (typeof data.content !== "string" && data.contentFormat === undefined) return data;
+
+  // Markdown আসার আগের blogs HTML হিসেবেই থাকে
+  const format = data.contentFormat || existing?.contentFormat || (existing ? "html" : "markdown");
+  const source = typeof data.content === "string" ? data.content : existing?.content;
+  const { html, toc, excerpt } = renderContent(source, format);
+  return Object.assign(data, { contentFormat: format, contentHtml: html, toc, excerpt });
+}
+
+// ✅ Reading stats, view tracking, trending score
+const WORDS_PER_MINUTE = 200;
+const VIEW_DEDUP_WINDOW_SECONDS = 30 * 60;
+// Trending score প্রতি half-life এ অর্ধেক হয়ে যায়, তাই পুরনো engagement ধীরে ধীরে গুরুত্ব হারায়
+const TRENDING_HALF_LIFE_MS = (parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24) * 60 * 60 * 1000;
+const TRENDING_WEIGHTS = { view: 1, reaction: 3, comment: 5 };
+// এর চেয়ে পুরনো activity র score প্রায় শূন্য, trending query তে দেখিই না
+const TRENDING_LOOKBACK_MS = 7 * TRENDING_HALF_LIFE_MS;
+
+function contentStats(content) {
+  const text = String(content || "").replace(/<[^>]*>/g, " ");
+  const wordCount = (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+  return { wordCount, readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) };
+}
+
+// Content বদলালে save এর সময়ই word count / reading time বসাই
+function withContentStats(data) {
+  if (typeof data.content === "string") Object.assign(data, contentStats(data.content));
+  return data;
+}
+
+// Score টা updatedAt সময়ের হিসাবে রাখা; নতুন event এ আগেরটা decay করে weight যোগ (একটাই atomic update)
+function decayedTrendingScore(now = "$$NOW") {
+  return {
+    $multiply: [
+      { $ifNull: ["$trending.score", 0] },
+      {
+        $pow: [
+          0.5,
+          { $divide: [{ $subtract: [now, { $ifNull: ["$trending.updatedAt", now] }] }, TRENDING_HALF_LIFE_MS] },
+        ],
+      },
+    ],
+  };
+}
+
+async function bumpTrending(blogId, weight) {
+  const { blogsCollection } = await getCollections();
+  await blogsCollection.updateOne({ _id: blogId }, [
+    { $set: { "trending.score": { $add: [decayedTrendingScore(), weight] }, "trending.updatedAt": "$$NOW" } },
+  ]);
+}
+
+function bumpTrendingSafely(blogId, event) {
+  return bumpTrending(blogId, TRENDING_WEIGHTS[event]).catch((err) =>
+    console.error("❌ Trending update failed:", err.message)
+  );
+}
+
+// Logged-in হলে uid, না হলে ip + user agent এর hash
+// (client এর পাঠানো session id নেই না - প্রতি request এ নতুন id দিয়ে views বাড়ানো যেত)
+function visitorKey(req) {
+  if (req.user?.uid) return `u:${req.user.uid}`;
+  return `a:${crypto.createHash("sha256").update(`${req.ip}|${req.get("user-agent") || ""}`).digest("hex").slice(0, 32)}`;
+}
 
-    res.status(201).json({ success: true, blog: newBlog });
+// একই visitor window এর মধ্যে আবার খুললে গুনি না; author নিজের blog দেখলেও না
+async function recordBlogView(req, blog) {
+  if (blog.status !== "published") return;
+  if (req.user && blog.author?.uid === req.user.uid) return;
+
+  const { blogViewsCollection, blogsCollection } = await getCollections();
+  try {
+    await blogViewsCollection.insertOne({ blogId: blog._id, visitor: visitorKey(req), createdAt: new Date() });
   } catch (err) {
-    console.error("Error creating blog:", err);
-    res.status(500).json({ success: false, message: "Internal Server Error" });
+    if (err.code === 11000) return;
+    throw err;
   }
-});
+  await blogsCollection.updateOne({ _id: blog._id }, { $inc: { views: 1 } });
+  await bumpTrending(blog._id, TRENDING_WEIGHTS.view);
+}
 
-// Delete blog route
-app.delete("/blogs/:id", verifyFirebaseToken, async (req, res) => {
+function recordBlogViewSafely(req, blog) {
+  return recordBlogView(req, blog).catch((err) => console.error("❌ View tracking failed:", err.message));
+}
+
+// GET /blogs?page=1&limit=20 অথবা ?cursor=... , filters: author, tag, category, status, from, to
+app.get("/blogs", attachUserIfPresent, validateRequest({ query: blogListQuery }), async (req, res) => {
   try {
     const { blogsCollection } = await getCollections();
-    const { id } = req.params;
 
-    // যদি id invalid হয় তাহলে handle করা
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid blog ID" });
-    }
+    const pagination = parsePagination(req.query, { sortFields: ["createdAt", "likes", "views"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
 
-    const result = await blogsCollection.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ message: "Blog not found" });
-    }
+    const { filter, error } = buildBlogFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    // Public feed এ শুধু published; editor/admin অন্য status ও filter করতে পারে
+    if (!hasRole(req.user, "editor")) filter.status = "published";
 
-    res.json({ message: "Blog deleted successfully" });
+    res.json(await paginateFind(blogsCollection, filter, pagination));
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Server Error", error: err.message });
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-app.get("/blogs/:id", async (req, res) => {
-  const { id } = req.params;
-  if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid blog ID" });
 
+const updateBlogSchema = {
+  params: idParams,
+  body: {
+    ...blogWritableFields,
+    slug: { type: "string", maxLength: MAX_SLUG_LENGTH, pattern: SLUG_PATTERN },
+    // Client যে editVersion load করেছিল - মিললে তবেই save
+    baseVersion: { type: "integer", min: 0 },
+  },
+};
+
+app.patch("/blogs/:id", requireRole("author"), validateRequest(updateBlogSchema), async (req, res) => {
   try {
     const { blogsCollection } = await getCollections();
-    const blog = await blogsCollection.findOne({ _id: new ObjectId(id) });
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
     if (!blog) return res.status(404).json({ success: false, message: "Blog not found" });
+    if (!canManageBlog(req.user, blog)) {
+      return res.status(403).json({ success: false, message: "Forbidden: You can edit only your own blog" });
+    }
+    const { baseVersion } = updateData;
+    delete updateData.baseVersion;
+    const conflict = editConflict(req.user, blog, baseVersion);
+    if (conflict) {
+      const { status, error, ...details } = conflict;
+      return res.status(status).json({ success: false, message: error, ...details });
+    }
+
+    // Slug শুধু আলাদা করে চাইলে বদলায়, title edit এ না
+    const requestedSlug = updateData.slug;
+    // Status শুধু workflow endpoints দিয়ে বদলানো যাবে
+    stripProtectedBlogFields(updateData);
+    withContentStats(updateData);
+    withRenderedContent(updateData, blog);
+    const taxonomy = await resolveBlogTaxonomy(updateData);
+    if (taxonomy.error) return res.status(400).json({ success: false, message: taxonomy.error });
+
+    let slugChanged = false;
+    if (requestedSlug !== undefined) {
+      const { slug, error } = await changeBlogSlug(blog, requestedSlug);
+      if (error) return res.status(409).json({ success: false, message: error });
+      slugChanged = slug !== blog.slug;
+    }
+
+    // Feed ETag, sitemap lastmod, og modified_time সব updatedAt থেকে আসে
+    const result = Object.keys(updateData).length > 0
+      ? await blogsCollection.updateOne(editVersionFilter(blog), { $set: { ...updateData, updatedAt: new Date() }, $inc: { editVersion: 1 } })
+      : { matchedCount: 1, modifiedCount: 0 };
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: "Blog was changed by someone else, reload before saving" });
+    }
+    if (result.modifiedCount === 0 && !slugChanged) {
+      return res.status(404).json({ success: false, message: "Blog not found or no changes made" });
+    }
+
+    const updatedBlog = await blogsCollection.findOne({ _id: blog._id });
+    await recordRevision(blog, updatedBlog, req.user);
+    await syncTagCountsSafely(blog.tags || [], updatedBlog.tags || []);
 
-    res.json({ success: true, blog });
+    res.json({ success: true, message: "Blog updated successfully", editVersion: updatedBlog.editVersion || 0 });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Server error", error: err.message });
+    console.error("PATCH /blogs/:id error:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 });
-app.put("/blogs/:id", verifyFirebaseToken, async (req, res) => {
+
+const createBlogSchema = {
+  body: {
+    ...blogWritableFields,
+    title: { ...blogWritableFields.title, required: true },
+    content: { ...blogWritableFields.content, required: true },
+  },
+};
+
+// Add blog
+app.post("/blogs", requireRole("author"), validateRequest(createBlogSchema), async (req, res) => {
   try {
     const { blogsCollection } = await getCollections();
-    const { id } = req.params;
-    const updateData = req.body;
+    const blogData = req.body;
+    const user = req.user; // verifyFirebaseToken থেকে আসা logged-in user
 
-    const blog = await blogsCollection.findOne({ _id: new ObjectId(id) });
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    // Status workflow endpoint দিয়েই বদলাবে, client থেকে নয়
+    stripProtectedBlogFields(blogData);
+    const taxonomy = await resolveBlogTaxonomy(blogData);
+    if (taxonomy.error) return res.status(400).json({ message: taxonomy.error });
 
-    if (blog.author?.email !== req.user.email)
-      return res.status(403).json({ message: "Forbidden: You can edit only your own blog" });
+    // Blog insert - নতুন blog সবসময় draft
+    const newBlog = {
+      ...blogData,
+      author: {
+        uid: user.uid,
+        email: user.email,
+      },
+      slug: await uniqueBlogSlug(blogData.title),
+      ...contentStats(blogData.content),
+      likes: 0,
+      views: 0,
+      status: "draft",
+      createdAt: new Date(),
+    };
+    withRenderedContent(newBlog);
+    // দুইটা request একই slug নিলে unique index আটকায় - আবার নতুন slug নিয়ে চেষ্টা
+    let result;
+    for (let attempt = 0; !result; attempt++) {
+      try {
+        result = await blogsCollection.insertOne(newBlog);
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 3) throw err;
+        delete newBlog._id;
+        newBlog.slug = `${slugify(blogData.title).slice(0, MAX_SLUG_LENGTH - 7)}-${crypto.randomBytes(3).toString("hex")}`;
+      }
+    }
+    await recordRevision(null, { ...newBlog, _id: result.insertedId }, user, { reason: "create" });
+    await syncTagCountsSafely([], newBlog.tags || []);
+
+    // Log activity
+    await logActivity({
+      user,
+      type: "CREATE",
+      message: `${user.email} created a new blog`,
+      blogId: result.insertedId,
+    });
 
-    await blogsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { ...updateData } });
-    res.json({ message: "Blog updated successfully" });
+    res.status(201).json({ message: "Blog added", blogId: result.insertedId, slug: newBlog.slug });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ message: "Server Error", error: err.message });
+    res.status(500).json({ message: "Failed to add blog", error: err.message });
   }
 });
 
-app.get("/blogs/user/:email", async (req, res) => {
+const previewBlogSchema = {
+  body: {
+    content: { ...blogWritableFields.content, required: true },
+    contentFormat: blogWritableFields.contentFormat,
+  },
+};
+
+// Editor এর live preview - save না করে শুধু render করে দেয়
+app.post("/blogs/preview", requireRole("author"), validateRequest(previewBlogSchema), async (req, res) => {
   try {
-    const { blogsCollection } = await getCollections();
-    const email = decodeURIComponent(req.params.email);
-    const blogs = await blogsCollection.find({ "author.email": email }).toArray();
-    res.json(blogs || []);
+    const { content, contentFormat = "markdown" } = req.body;
+    res.json({ success: true, ...renderContent(content, contentFormat), ...contentStats(content) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server Error", error: err.message });
+    console.error("POST /blogs/preview error:", err);
+    res.status(500).json({ success: false, message: "Failed to render preview" });
   }
 });
 
-// Like blog
-app.post("/blogs/:id/like", async (req, res) => {
+// Delete blog route
+app.delete("/blogs/:id", requireRole("author"), validateRequest({ params: idParams }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId } = req.body;
     const { blogsCollection } = await getCollections();
-    const blog = await blogsCollection.findOne({ _id: new ObjectId(id) });
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    const { id } = req.params;
 
-    const likedUsers = blog.likedUsers || [];
-    if (likedUsers.includes(userId)) return res.status(400).json({ message: "Already liked" });
+    // যদি id invalid হয় তাহলে handle করা
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid blog ID" });
+    }
 
-    await blogsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $inc: { likes: 1 }, $push: { likedUsers: userId } }
-    );
+    const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    // Co-author edit করতে পারে, কিন্তু delete শুধু আসল author বা editor
+    if (!isBlogOwner(req.user, blog) && !hasRole(req.user, "editor")) {
+      return res.status(403).json({ message: "Forbidden: You can delete only your own blog" });
+    }
+
+    // Comments, reactions ইত্যাদি purge এর সময় মোছে, যাতে restore করলে সব ফিরে আসে
+    if (!(await softDelete(blogsCollection, { _id: blog._id }, req.user))) {
+      return res.status(404).json({ message: "Blog not found" });
+    }
+    await syncTagCountsSafely(blog.tags || [], []);
 
-    res.json({ likes: (blog.likes || 0) + 1, message: "Like added" });
+    res.json({ message: "Blog moved to trash" });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: "Server Error", error: err.message });
   }
 });
 
-// Add review
-app.post("/blogs/:id/reviews", async (req, res) => {
-  try {
-    const blogId = req.params.id;
-    const review = req.body;
-    const { blogsCollection } = await getCollections();
-
-    if (!ObjectId.isValid(blogId))
-      return res.status(400).json({ success: false, message: "Invalid blog ID" });
+// ✅ Categories - শুধু admin বানায়/বদলায়; list এ published post count
+const categorySchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 50 },
+    slug: { type: "string", maxLength: MAX_SLUG_LENGTH, pattern: SLUG_PATTERN },
+    description: { type: "string", maxLength: 500 },
+  },
+};
 
-    await blogsCollection.updateOne({ _id: new ObjectId(blogId) }, { $push: { reviews: review } });
-    res.json({ success: true, message: "Review added successfully" });
+app.get("/categories", async (req, res) => {
+  try {
+    const { categoriesCollection, blogsCollection } = await getCollections();
+    const [categories, counts] = await Promise.all([
+      categoriesCollection.find().sort({ name: 1 }).toArray(),
+      blogsCollection.aggregate([{ $match: PUBLISHED_BLOG }, { $group: { _id: "$category", count: { $sum: 1 } } }]).toArray(),
+    ]);
+    const countBySlug = Object.fromEntries(counts.map((c) => [c._id, c.count]));
+    res.json({ success: true, data: categories.map((c) => ({ ...c, postCount: countBySlug[c.slug] || 0 })) });
   } catch (err) {
-    console.error(err);
+    console.error("GET /categories error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get("/reviews", async (req, res) => {
+app.post("/categories", requireRole("admin"), validateRequest(categorySchema), async (req, res) => {
   try {
-    const { blogsCollection } = await getCollections();
-    const allBlogs = await blogsCollection.find({}).toArray();
-
-    const allReviews = allBlogs.flatMap(blog =>
-      (blog.reviews || []).map(review => ({
-        userName: review.userName || "Guest",
-        userImage: review.userImage || "https://i.ibb.co/MBtjqXQ/default-avatar.png",
-        comment: review.comment || "",
-        rating: review.rating || 0,
-        date: review.date || new Date(),
-        blogId: blog._id,
-        blogTitle: blog.title
-      }))
-    );
+    const { name, description = "" } = req.body;
+    const category = { name: name.trim(), slug: slugify(req.body.slug || name), description, createdAt: new Date() };
 
-    res.json(allReviews);
+    const { categoriesCollection } = await getCollections();
+    const result = await categoriesCollection.insertOne(category);
+    res.status(201).json({ success: true, category: { _id: result.insertedId, ...category } });
   } catch (err) {
-    console.error(err);
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "Category already exists" });
+    console.error("POST /categories error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// DELETE /reviews/:blogId/:commentId
-app.delete("/:blogId/:commentId", async (req, res) => {
-  const { blogId, commentId } = req.params;
-
-  try {
-    const { blogsCollection } = await getCollections();
-
-    const blog = await blogsCollection.findOne({ _id: new ObjectId(blogId) });
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
 
-    const originalLength = (blog.reviews || []).length;
+const updateCategorySchema = {
+  params: { slug: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH } },
+  body: {
+    name: { type: "string", maxLength: 50 },
+    slug: { type: "string", maxLength: MAX_SLUG_LENGTH, pattern: SLUG_PATTERN },
+    description: { type: "string", maxLength: 500 },
+  },
+};
 
-    // filter out the review to delete
-    const updatedReviews = (blog.reviews || []).filter(
-      (r) => r._id.toString() !== commentId
-    );
+// PATCH /categories/:slug - rename; slug বদলালে সব blog এও বদলায়
+app.patch("/categories/:slug", requireRole("admin"), validateRequest(updateCategorySchema), async (req, res) => {
+  try {
+    const { categoriesCollection, blogsCollection } = await getCollections();
+    const category = await categoriesCollection.findOne({ slug: req.params.slug });
+    if (!category) return res.status(404).json({ success: false, message: "Category not found" });
+
+    const update = { updatedAt: new Date() };
+    if (req.body.name) update.name = req.body.name.trim();
+    if (req.body.description !== undefined) update.description = req.body.description;
+    if (req.body.slug) update.slug = slugify(req.body.slug);
+
+    await categoriesCollection.updateOne({ _id: category._id }, { $set: update });
+    let blogsUpdated = 0;
+    if (update.slug && update.slug !== category.slug) {
+      const result = await blogsCollection.updateMany({ category: category.slug }, { $set: { category: update.slug } });
+      blogsUpdated = result.modifiedCount;
+    }
 
-    if (updatedReviews.length === originalLength)
-      return res.status(404).json({ message: "Review not found" });
+    res.json({ success: true, message: "Category updated", category: { ...category, ...update }, blogsUpdated });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "Category slug already in use" });
+    console.error("PATCH /categories/:slug error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    // update the blog document
-    await blogsCollection.updateOne(
-      { _id: new ObjectId(blogId) },
-      { $set: { reviews: updatedReviews } }
-    );
+const mergeCategorySchema = {
+  params: { slug: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH } },
+  body: { into: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH } },
+};
 
-    res.status(200).json({ success: true, message: "Review deleted successfully" });
+// POST /categories/:slug/merge { into } - সব blog অন্য category তে সরিয়ে এটা মুছে ফেলে
+app.post("/categories/:slug/merge", requireRole("admin"), validateRequest(mergeCategorySchema), async (req, res) => {
+  try {
+    const { categoriesCollection, blogsCollection } = await getCollections();
+    const [source, target] = await Promise.all([
+      categoriesCollection.findOne({ slug: req.params.slug }),
+      categoriesCollection.findOne({ slug: req.body.into }),
+    ]);
+    if (!source || !target) return res.status(404).json({ success: false, message: "Category not found" });
+    if (source._id.equals(target._id)) return res.status(400).json({ success: false, message: "Cannot merge a category into itself" });
+
+    const result = await blogsCollection.updateMany({ category: source.slug }, { $set: { category: target.slug } });
+    await categoriesCollection.deleteOne({ _id: source._id });
+
+    res.json({ success: true, message: `Merged ${source.name} into ${target.name}`, blogsUpdated: result.modifiedCount });
   } catch (err) {
-    console.error(err);
+    console.error("POST /categories/:slug/merge error:", err);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Upload image
-app.post("/upload-image", async (req, res) => {
+app.delete("/categories/:slug", requireRole("admin"), validateRequest({ params: { slug: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH } } }), async (req, res) => {
   try {
-    const { imageBase64 } = req.body;
-    if (!imageBase64) return res.status(400).json({ message: "Image required" });
-
-    const key = process.env.IMGBB_API_KEY;
-    const form = new FormData();
-    form.append("image", imageBase64.replace(/^data:image\/\w+;base64,/, ""));
-    const imgbbRes = await axios.post(`https://api.imgbb.com/1/upload?key=${key}`, form, {
-      headers: form.getHeaders(),
-      timeout: 20000,
-    });
-
-    const imageUrl = imgbbRes.data?.data?.display_url || imgbbRes.data?.data?.url;
-    res.json({ success: true, url: imageUrl });
+    const { categoriesCollection, blogsCollection } = await getCollections();
+    const inUse = await blogsCollection.countDocuments({ category: req.params.slug });
+    if (inUse > 0) {
+      return res.status(409).json({ success: false, message: `Category is used by ${inUse} blogs, merge it instead` });
+    }
+    const result = await categoriesCollection.deleteOne({ slug: req.params.slug });
+    if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Category not found" });
+    res.json({ success: true, message: "Category deleted" });
   } catch (err) {
-    console.error("Imgbb upload error:", err.response?.data || err.message);
-    res.status(500).json({ success: false, message: "Upload failed", error: err.message });
+    console.error("DELETE /categories/:slug error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-app.get("/activities", verifyFirebaseToken, async (req, res) => {
+
+const categoryBlogsSchema = {
+  params: { slug: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH } },
+  query: paginationQuery,
+};
+
+// GET /categories/:slug - category + তার published posts (total = post count)
+app.get("/categories/:slug", validateRequest(categoryBlogsSchema), async (req, res) => {
   try {
-    const uid = req.user.uid; // Firebase token থেকে uid
-    const db = await connectDB();
-    const activitiesCollection = db.collection("activities");
+    const pagination = parsePagination(req.validQuery, { sortFields: ["createdAt", "likes", "views"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
 
-    const activities = await activitiesCollection
-      .find({ "user.uid": uid }) // শুধু এই user এর activities
-      .sort({ timestamp: -1 })
-      .toArray();
+    const { categoriesCollection, blogsCollection } = await getCollections();
+    const category = await categoriesCollection.findOne({ slug: req.params.slug });
+    if (!category) return res.status(404).json({ success: false, message: "Category not found" });
 
-    res.json(activities);
+    const page = await paginateFind(blogsCollection, { category: category.slug, ...PUBLISHED_BLOG }, pagination, { projection: { content: 0 } });
+    res.json({ ...page, category });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Failed to fetch activities" });
+    console.error("GET /categories/:slug error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// Stats
-app.get("/stats", verifyFirebaseToken, async (req, res) => {
+
+// ✅ Tags
+const tagListSchema = {
+  query: { q: { type: "string", maxLength: MAX_TAG_LENGTH }, limit: { type: "integer", min: 1, max: MAX_PAGE_LIMIT } },
+};
+
+// GET /tags?q=no - q দিলে prefix autocomplete, সবচেয়ে বেশি ব্যবহৃতগুলো আগে
+app.get("/tags", validateRequest(tagListSchema), async (req, res) => {
   try {
-    const { usersCollection, blogsCollection } = await getCollections();
-    const totalUsers = await usersCollection.countDocuments();
-    const totalBlogs = await blogsCollection.countDocuments();
-    const mostLiked = await blogsCollection.find().sort({ likes: -1 }).limit(1).toArray();
-    res.json({ totalUsers, totalBlogs, mostLiked: mostLiked[0] || null });
+    const { q, limit = 20 } = req.validQuery;
+    const filter = { count: { $gt: 0 } };
+    if (q) {
+      const prefix = normalizeTag(q);
+      if (!prefix) return res.json({ success: true, data: [] });
+      filter._id = { $regex: `^${escapeRegex(prefix)}` };
+    }
+
+    const { tagsCollection } = await getCollections();
+    const tags = await tagsCollection.find(filter).sort({ count: -1, _id: 1 }).limit(limit).toArray();
+    res.json({ success: true, data: tags.map((t) => ({ name: t._id, count: t.count })) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server Error", error: err.message });
+    console.error("GET /tags error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Update user role
-app.patch("/role/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { role } = req.body;
-    const { usersCollection } = await getCollections();
+const tagBlogsSchema = {
+  params: { tag: { type: "string", required: true, maxLength: MAX_TAG_LENGTH } },
+  query: paginationQuery,
+};
 
-    const result = await usersCollection.updateOne({ _id: new ObjectId(id) }, { $set: { role } });
-    if (result.matchedCount === 0) return res.status(404).json({ message: "User not found" });
+app.get("/tags/:tag", validateRequest(tagBlogsSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery, { sortFields: ["createdAt", "likes", "views"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
 
-    const updatedUser = await usersCollection.findOne({ _id: new ObjectId(id) });
-    res.status(200).json({ message: "User role updated", user: updatedUser });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Server error", error: error.message });
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ success: false, message: "Invalid tag" });
+    const { blogsCollection } = await getCollections();
+    const page = await paginateFind(blogsCollection, { tags: tag, ...PUBLISHED_BLOG }, pagination, { projection: { content: 0 } });
+    res.json({ ...page, tag });
+  } catch (err) {
+    console.error("GET /tags/:tag error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// Contacts
-app.post("/contacts", async (req, res) => {
+// Blog গুলোর tags এ sources কে target দিয়ে বদলায়, order রেখে duplicate বাদ দিয়ে
+async function mergeTags(sources, target) {
+  const { blogsCollection, tagsCollection } = await getCollections();
+  const result = await blogsCollection.updateMany({ tags: { $in: sources } }, [
+    {
+      $set: {
+        tags: {
+          $reduce: {
+            input: { $map: { input: "$tags", in: { $cond: [{ $in: ["$$this", sources] }, target, "$$this"] } } },
+            initialValue: [],
+            in: { $cond: [{ $in: ["$$this", "$$value"] }, "$$value", { $concatArrays: ["$$value", ["$$this"]] }] },
+          },
+        },
+      },
+    },
+  ]);
+
+  await tagsCollection.deleteMany({ _id: { $in: sources.filter((tag) => tag !== target) } });
+  const count = await blogsCollection.countDocuments({ tags: target, ...NOT_DELETED });
+  await tagsCollection.updateOne({ _id: target }, { $set: { count, updatedAt: new Date() } }, { upsert: true });
+  return { blogsUpdated: result.modifiedCount, count };
+}
+
+const tagMergeSchema = {
+  body: {
+    from: { type: "array", required: true, maxItems: 50, items: { type: "string", maxLength: MAX_TAG_LENGTH } },
+    to: { type: "string", required: true, maxLength: MAX_TAG_LENGTH },
+  },
+};
+
+// POST /tags/merge { from: ["js", "javascript-lang"], to: "javascript" }
+app.post("/tags/merge", requireRole("editor"), validateRequest(tagMergeSchema), async (req, res) => {
   try {
-    const { name, email, message } = req.body;
-    if (!name || !email || !message) return res.status(400).json({ message: "All fields are required" });
+    const sources = normalizeTags(req.body.from);
+    const target = normalizeTag(req.body.to);
+    if (!target || sources.length === 0) return res.status(400).json({ success: false, message: "Invalid tag names" });
 
-    const { contactsCollection } = await getCollections();
-    await contactsCollection.insertOne({ name, email, message, createdAt: new Date() });
-    res.status(201).json({ message: "Message received!" });
+    const result = await mergeTags(sources, target);
+    res.json({ success: true, message: `Merged ${sources.join(", ")} into ${target}`, tag: target, ...result });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error", error: err.message });
+    console.error("POST /tags/merge error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// index.js or routes/contacts.js
-app.get("/contacts", verifyFirebaseToken, async (req, res) => {
-  try {
-    const userEmail = req.user?.email;
-    if (!userEmail) return res.status(400).json({ message: "Email missing from token" });
-
-    const { usersCollection, contactsCollection } = await getCollections();
-    const user = await usersCollection.findOne({ email: userEmail });
+const tagRenameSchema = {
+  params: { tag: { type: "string", required: true, maxLength: MAX_TAG_LENGTH } },
+  body: { name: { type: "string", required: true, maxLength: MAX_TAG_LENGTH } },
+};
 
-    if (!user || user.role !== "admin") {
-      return res.status(403).json({ message: "Access denied: Admins only" });
-    }
+// PATCH /tags/:tag { name } - নতুন নাম আগে থেকে থাকলে এটা আসলে merge
+app.patch("/tags/:tag", requireRole("editor"), validateRequest(tagRenameSchema), async (req, res) => {
+  try {
+    const source = normalizeTag(req.params.tag);
+    const target = normalizeTag(req.body.name);
+    if (!source || !target) return res.status(400).json({ success: false, message: "Invalid tag names" });
 
-    const contacts = await contactsCollection.find().toArray();
-    res.json(contacts);
+    const result = await mergeTags([source], target);
+    res.json({ success: true, message: `Renamed ${source} to ${target}`, tag: target, ...result });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error", error: err.message });
+    console.error("PATCH /tags/:tag error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+// ✅ Series - একাধিক blog কে ordered parts হিসেবে জোড়া
+const seriesSchema = {
+  body: {
+    title: { type: "string", required: true, maxLength: 200 },
+    description: { type: "string", maxLength: 1000 },
+  },
+};
 
-app.delete("/contacts/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { contactsCollection } = await getCollections();
+async function findManageableSeries(req, res) {
+  const { seriesCollection } = await getCollections();
+  const series = await seriesCollection.findOne({ _id: new ObjectId(req.params.id) });
+  if (!series) {
+    res.status(404).json({ success: false, message: "Series not found" });
+    return null;
+  }
+  if (!canManageBlog(req.user, series)) {
+    res.status(403).json({ success: false, message: "Forbidden: not your series" });
+    return null;
+  }
+  return series;
+}
 
-    const result = await contactsCollection.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) return res.status(404).json({ message: "Message not found" });
+const seriesListSchema = { query: { ...paginationQuery, author: { type: "email" } } };
 
-    res.status(200).json({ message: "Message deleted successfully!" });
+// GET /series?author= - প্রতিটার published part count সহ
+app.get("/series", validateRequest(seriesListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const match = req.validQuery.author ? { "author.email": req.validQuery.author } : {};
+    const { seriesCollection } = await getCollections();
+    res.json(
+      await paginateAggregate(
+        seriesCollection,
+        [
+          { $match: match },
+          {
+            $lookup: {
+              from: "blogs",
+              let: { seriesId: "$_id" },
+              pipeline: [{ $match: { $expr: { $eq: ["$series.id", "$$seriesId"] }, ...PUBLISHED_BLOG } }, { $count: "n" }],
+              as: "published",
+            },
+          },
+          { $addFields: { postCount: { $ifNull: [{ $first: "$published.n" }, 0] } } },
+          { $project: { published: 0 } },
+        ],
+        pagination
+      )
+    );
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error", error: err.message });
+    console.error("GET /series error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-// ✅ SUBSCRIBERS ROUTE FIX - এটা সবচেয়ে সম্ভাব্য problematic route
-app.post("/subscribers", async (req, res) => {
+app.post("/series", requireRole("author"), validateRequest(seriesSchema), async (req, res) => {
   try {
-    console.log("📥 Subscriber request body:", req.body);
-    
-    // Check if body exists
-    if (!req.body || Object.keys(req.body).length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Request body is required" 
-      });
-    }
-
-    const { email } = req.body;
-    
-    // Validate email
-    if (!email || email === 'null' || email === 'undefined') {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Valid email address is required" 
-      });
-    }
+    const series = {
+      title: req.body.title,
+      description: req.body.description || "",
+      slug: slugify(req.body.title),
+      author: { uid: req.user.uid, email: req.user.email },
+      createdAt: new Date(),
+    };
+    const { seriesCollection } = await getCollections();
+    const result = await seriesCollection.insertOne(series);
+    res.status(201).json({ success: true, series: { _id: result.insertedId, ...series } });
+  } catch (err) {
+    console.error("POST /series error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    const { subscribersCollection } = await getCollections();
+// GET /series/:id - series + order অনুযায়ী published parts
+app.get("/series/:id", attachUserIfPresent, validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { seriesCollection, blogsCollection } = await getCollections();
+    const series = await seriesCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!series) return res.status(404).json({ success: false, message: "Series not found" });
+
+    // Owner/editor draft parts ও দেখতে পায়
+    const filter = { "series.id": series._id, ...NOT_DELETED };
+    if (!(req.user && canManageBlog(req.user, series))) filter.status = "published";
+    const posts = await blogsCollection
+      .find(filter, { projection: { title: 1, slug: 1, status: 1, series: 1, publishedAt: 1, readingTimeMinutes: 1 } })
+      .sort({ "series.order": 1 })
+      .toArray();
 
-    // Check if already subscribed
-    const existing = await subscribersCollection.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Email already subscribed" 
-      });
-    }
+    res.json({ success: true, series, posts, postCount: posts.length });
+  } catch (err) {
+    console.error("GET /series/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
 
-    // Insert new subscriber
-    await subscribersCollection.insertOne({ 
-      email, 
-      createdAt: new Date() 
-    });
-    
-    res.status(201).json({ 
-      success: true, 
-      message: "Subscribed successfully" 
-    });
-    
+app.patch("/series/:id", requireRole("author"), validateRequest({ params: idParams, body: { title: seriesSchema.body.title, description: seriesSchema.body.description } }), async (req, res) => {
+  try {
+    const series = await findManageableSeries(req, res);
+    if (!series) return;
+
+    const update = { ...req.body, updatedAt: new Date() };
+    if (update.title) update.slug = slugify(update.title);
+    const { seriesCollection } = await getCollections();
+    await seriesCollection.updateOne({ _id: series._id }, { $set: update });
+    res.json({ success: true, message: "Series updated", series: { ...series, ...update } });
   } catch (err) {
-    console.error("❌ Subscriber error:", err);
-    res.status(500).json({ 
-      success: false, 
-      message: "Subscription failed" 
-    });
+    console.error("PATCH /series/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+const seriesPostsSchema = {
+  params: idParams,
+  body: { blogIds: { type: "array", required: true, maxItems: 100, items: { type: "objectId" } } },
+};
 
-app.get("/subscribers", verifyFirebaseToken, async (req, res) => {
+// PUT /series/:id/posts { blogIds: [...] } - পুরো order একবারে; list এ না থাকা parts series থেকে বের হয়
+app.put("/series/:id/posts", requireRole("author"), validateRequest(seriesPostsSchema), async (req, res) => {
   try {
-    const { subscribersCollection, usersCollection } = await getCollections();
-    const user = await usersCollection.findOne({ email: req.user.email });
-    if (!user || user.role !== "admin") {
-      return res.status(403).json({ success: false, message: "Access denied: Admins only" });
+    const series = await findManageableSeries(req, res);
+    if (!series) return;
+
+    const blogIds = [...new Set(req.body.blogIds)].map((id) => new ObjectId(id));
+    const { blogsCollection } = await getCollections();
+    const blogs = await blogsCollection.find({ _id: { $in: blogIds }, ...NOT_DELETED }, { projection: { author: 1, series: 1 } }).toArray();
+    if (blogs.length !== blogIds.length) return res.status(404).json({ success: false, message: "Some blogs were not found" });
+
+    const forbidden = blogs.find((blog) => !canManageBlog(req.user, blog));
+    if (forbidden) return res.status(403).json({ success: false, message: `Forbidden: you cannot manage blog ${forbidden._id}` });
+    const elsewhere = blogs.find((blog) => blog.series?.id && !blog.series.id.equals(series._id));
+    if (elsewhere) return res.status(409).json({ success: false, message: `Blog ${elsewhere._id} already belongs to another series` });
+
+    await blogsCollection.updateMany({ "series.id": series._id, _id: { $nin: blogIds } }, { $unset: { series: "" } });
+    // খালি list মানে series থেকে সব parts বের করা; bulkWrite([]) error দেয়
+    if (blogIds.length > 0) {
+      await blogsCollection.bulkWrite(
+        blogIds.map((_id, index) => ({ updateOne: { filter: { _id }, update: { $set: { series: { id: series._id, order: index + 1 } } } } }))
+      );
     }
 
-    const subscribers = await subscribersCollection.find().toArray();
-    res.json({ success: true, subscribers }); // ✅ important change
+    res.json({ success: true, message: "Series order updated", blogIds });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to fetch subscribers" });
+    console.error("PUT /series/:id/posts error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// DELETE subscriber
-app.delete("/subscribers/:id", verifyFirebaseToken, async (req, res) => {
+
+// Series মুছলে blogs থাকে, শুধু series link খুলে যায়
+app.delete("/series/:id", requireRole("author"), validateRequest({ params: idParams }), async (req, res) => {
   try {
-    const { subscribersCollection, usersCollection } = await getCollections();
-    const user = await usersCollection.findOne({ email: req.user.email });
-    if (!user || user.role !== "admin") {
-      return res.status(403).json({ success: false, message: "Access denied: Admins only" });
-    }
+    const series = await findManageableSeries(req, res);
+    if (!series) return;
 
-    const result = await subscribersCollection.deleteOne({ _id: new ObjectId(req.params.id) });
-    if (result.deletedCount === 1) {
-      res.json({ success: true, message: "Subscriber deleted successfully" });
-    } else {
-      res.status(404).json({ success: false, message: "Subscriber not found" });
-    }
+    const { seriesCollection, blogsCollection } = await getCollections();
+    await blogsCollection.updateMany({ "series.id": series._id }, { $unset: { series: "" } });
+    await seriesCollection.deleteOne({ _id: series._id });
+    res.json({ success: true, message: "Series deleted" });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to delete subscriber" });
+    console.error("DELETE /series/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
+const trendingSchema = {
+  query: {
+    limit: { type: "integer", min: 1, max: MAX_PAGE_LIMIT },
+    category: { type: "string", maxLength: 50 },
+    tag: { type: "string", maxLength: 50 },
+  },
+};
 
-// ✅ GET Support Tickets
-app.get('/support/tickets', async (req, res) => {
+// GET /blogs/trending - সাম্প্রতিক views / reactions / comments এর decayed score অনুযায়ী
+app.get("/blogs/trending", validateRequest(trendingSchema), async (req, res) => {
   try {
-    const { email } = req.query;
-    console.log("📧 Fetching tickets for email:", email);
-    
-    let query = {};
-    if (email && email !== 'undefined' && email !== 'null') {
-      query.email = email;
+    const { limit = 10, category, tag } = req.validQuery;
+    const now = new Date();
+    const match = { ...PUBLISHED_BLOG, "trending.updatedAt": { $gte: new Date(now.getTime() - TRENDING_LOOKBACK_MS) } };
+    if (category) match.category = slugify(category);
+    if (tag) {
+      match.tags = normalizeTag(tag);
+      if (!match.tags) return res.status(400).json({ success: false, message: "Invalid tag" });
     }
 
-    const { contactsCollection } = await getCollections();
-    const tickets = await contactsCollection.find(query).sort({ createdAt: -1 }).toArray();
-    
-    console.log(`✅ Found ${tickets.length} tickets for ${email}`);
-    
-    res.json({ 
-      success: true, 
-      tickets: tickets.map(ticket => ({
-        _id: ticket._id,
-        name: ticket.name,
-        email: ticket.email,
-        subject: ticket.subject,
-        category: ticket.category || 'general',
-        priority: ticket.priority || 'medium',
-        message: ticket.message,
-        status: ticket.status || 'open',
-        ticketNumber: ticket.ticketNumber || `TKT-${ticket._id}`,
-        createdAt: ticket.createdAt,
-        updatedAt: ticket.updatedAt
-      }))
-    });
-  } catch (error) {
-    console.error('❌ GET /api/support/tickets error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while fetching tickets',
-      error: error.message 
+    const { blogsCollection } = await getCollections();
+    const blogs = await blogsCollection
+      .aggregate([
+        { $match: match },
+        { $addFields: { trendingScore: decayedTrendingScore(now) } },
+        { $sort: { trendingScore: -1, _id: -1 } },
+        { $limit: limit },
+        { $project: { content: 0, previousSlugs: 0, trending: 0 } },
+      ])
+      .toArray();
+
+    res.json({
+      success: true,
+      data: blogs.map((blog) => ({ ...blog, trendingScore: Math.round(blog.trendingScore * 100) / 100 })),
     });
+  } catch (err) {
+    console.error("GET /blogs/trending error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// ✅ POST Support Ticket
-app.post('/support/tickets', async (req, res) => {
-  try {
-    const { name, email, subject, category, priority, message } = req.body;
-    
-    console.log("📥 New support ticket:", { name, email, subject, category, priority, message });
-
-    // Validation
-    if (!name || !email || !subject || !message) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'All required fields must be filled' 
-      });
-    }
 
-    const { contactsCollection } = await getCollections();
+app.get("/blogs/:id", attachUserIfPresent, validateRequest({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid blog ID" });
 
-    // Create ticket data
-    const ticketData = {
-      name,
-      email,
-      subject,
-      category: category || 'general',
-      priority: priority || 'medium',
-      message,
-      status: 'open',
-      ticketNumber: `TKT-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+  try {
+    const { blogsCollection } = await getCollections();
+    const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!blog) return res.status(404).json({ success: false, message: "Blog not found" });
 
-    // Insert into contacts collection (jeta tumi already use koro)
-    const result = await contactsCollection.insertOne(ticketData);
-    
-    console.log("✅ Support ticket created:", ticketData.ticketNumber);
+    // Unpublished blog শুধু author/editor দেখতে পারবে
+    if (blog.status !== "published" && !(req.user && canManageBlog(req.user, blog))) {
+      return res.status(404).json({ success: false, message: "Blog not found" });
+    }
 
-    res.status(201).json({
-      success: true,
-      message: 'Support ticket created successfully',
-      ticket: {
-        _id: result.insertedId,
-        ...ticketData
-      }
-    });
-  } catch (error) {
-    console.error('❌ POST /api/support/tickets error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while creating ticket',
-      error: error.message 
-    });
+    await recordBlogViewSafely(req, blog);
+    res.json({ success: true, blog, meta: blogMeta(blog) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error", error: err.message });
   }
 });
-// ✅ PUT Update Ticket Status
-app.put('/support/tickets/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body;
 
-    const { contactsCollection } = await getCollections();
+const blogSlugSchema = {
+  params: { slug: { type: "string", required: true, maxLength: MAX_SLUG_LENGTH, pattern: SLUG_PATTERN } },
+};
 
-    const result = await contactsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { 
-        $set: { 
-          status,
-          updatedAt: new Date()
-        } 
-      }
-    );
+// GET /blogs/slug/:slug - পুরনো slug হলে 301 দিয়ে বর্তমান slug এ পাঠায়
+app.get("/blogs/slug/:slug", attachUserIfPresent, validateRequest(blogSlugSchema), async (req, res) => {
+  try {
+    const { blogsCollection } = await getCollections();
+    const slug = slugify(req.params.slug);
+    const blog = await blogsCollection.findOne({ $or: [{ slug }, { previousSlugs: slug }], ...NOT_DELETED });
 
-    if (result.matchedCount === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Ticket not found' 
-      });
+    if (!blog || (blog.status !== "published" && !(req.user && canManageBlog(req.user, blog)))) {
+      return res.status(404).json({ success: false, message: "Blog not found" });
+    }
+    if (blog.slug !== slug) {
+      return res
+        .status(301)
+        .location(`/blogs/slug/${encodeURIComponent(blog.slug)}`)
+        .json({ success: true, redirect: true, slug: blog.slug, canonicalUrl: blogUrl(blog) });
     }
 
-    res.json({
-      success: true,
-      message: 'Ticket status updated successfully'
-    });
-  } catch (error) {
-    console.error('❌ PUT /api/support/tickets/:id error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while updating ticket',
-      error: error.message 
-    });
+    await recordBlogViewSafely(req, blog);
+    res.json({ success: true, blog, meta: blogMeta(blog) });
+  } catch (err) {
+    console.error("GET /blogs/slug/:slug error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
   }
 });
-// ✅ DELETE Support Ticket
-app.delete('/support/tickets/:id', async (req, res) => {
+app.put("/blogs/:id", requireRole("author"), validateRequest(updateBlogSchema), async (req, res) => {
   try {
+    const { blogsCollection } = await getCollections();
     const { id } = req.params;
+    const updateData = req.body;
 
-    const { contactsCollection } = await getCollections();
+    const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
 
-    const result = await contactsCollection.deleteOne({ _id: new ObjectId(id) });
+    if (!canManageBlog(req.user, blog))
+      return res.status(403).json({ message: "Forbidden: You can edit only your own blog" });
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'Ticket not found' 
-      });
+    const { baseVersion } = updateData;
+    delete updateData.baseVersion;
+    const conflict = editConflict(req.user, blog, baseVersion);
+    if (conflict) {
+      const { status, error, ...details } = conflict;
+      return res.status(status).json({ message: error, ...details });
     }
 
-    res.json({
-      success: true,
-      message: 'Ticket deleted successfully'
-    });
-  } catch (error) {
-    console.error('❌ DELETE /api/support/tickets/:id error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error while deleting ticket',
-      error: error.message 
-    });
+    const requestedSlug = updateData.slug;
+    stripProtectedBlogFields(updateData);
+    withContentStats(updateData);
+    withRenderedContent(updateData, blog);
+    const taxonomy = await resolveBlogTaxonomy(updateData);
+    if (taxonomy.error) return res.status(400).json({ message: taxonomy.error });
+
+    if (requestedSlug !== undefined) {
+      const { error } = await changeBlogSlug(blog, requestedSlug);
+      if (error) return res.status(409).json({ message: error });
+    }
+
+    if (Object.keys(updateData).length > 0) {
+      const result = await blogsCollection.updateOne(editVersionFilter(blog), { $set: { ...updateData, updatedAt: new Date() }, $inc: { editVersion: 1 } });
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: "Blog was changed by someone else, reload before saving" });
+      }
+    }
+    const updatedBlog = await blogsCollection.findOne({ _id: blog._id });
+    await recordRevision(blog, updatedBlog, req.user);
+    await syncTagCountsSafely(blog.tags || [], updatedBlog.tags || []);
+    res.json({ message: "Blog updated successfully", editVersion: updatedBlog.editVersion || 0 });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server Error", error: err.message });
   }
 });
 
+// ✅ Blog revisions - প্রতিটা edit এর snapshot রাখি যাতে diff/restore করা যায়
+// এগুলো content না, system/engagement data - revision snapshot এ রাখি না
+const REVISION_EXCLUDED_FIELDS = [
+  "_id", "author", "likes", "likedUsers", "reactionCounts", "reviews", "createdAt", "updatedAt",
+  "status", "publishAt", "publishedAt", "statusUpdatedAt", "statusUpdatedBy", "currentRevision", "slug", "previousSlugs",
+  "views", "trending", "wordCount", "readingTimeMinutes", "series", "contentHtml", "toc", "excerpt",
+  "coAuthors", "editLock", "editVersion", "review",
+];
+
+function revisionSnapshot(blog) {
+  const snapshot = {};
+  Object.keys(blog || {}).forEach((key) => {
+    if (!REVISION_EXCLUDED_FIELDS.includes(key)) snapshot[key] = blog[key];
+  });
+  return snapshot;
+}
+
+// Field-level diff: কোন field যোগ/বাদ/বদল হয়েছে
+function diffSnapshots(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  fields.forEach((field) => {
+    const inBefore = field in before;
+    const inAfter = field in after;
+    if (inBefore && !inAfter) changes.push({ field, type: "removed", before: before[field] });
+    else if (!inBefore && inAfter) changes.push({ field, type: "added", after: after[field] });
+    else if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, type: "changed", before: before[field], after: after[field] });
+    }
+  });
+  return changes;
+}
+
+async function insertRevision(blogId, snapshot, changes, user, extra = {}) {
+  const { blogsCollection, revisionsCollection } = await getCollections();
+  const counter = await blogsCollection.findOneAndUpdate(
+    { _id: blogId },
+    { $inc: { currentRevision: 1 } },
+    { returnDocument: "after", projection: { currentRevision: 1 } }
+  );
+  const revision = {
+    blogId,
+    rev: counter.currentRevision,
+    snapshot,
+    changedFields: changes.map((c) => c.field),
+    changes,
+    editor: { uid: user?.uid || "system", email: user?.email || "unknown" },
+    createdAt: new Date(),
+    ...extra,
+  };
+  await revisionsCollection.insertOne(revision);
+  return revision;
+}
+
+// before=null মানে নতুন blog; কিছু না বদলালে revision হয় না
+async function recordRevision(before, after, user, { reason = "edit", restoredFrom } = {}) {
+  const afterSnapshot = revisionSnapshot(after);
 
+  // Revision history চালুর আগের blog: আগের অবস্থাটা baseline হিসেবে রেখে দেই
+  if (before && !before.currentRevision) {
+    await insertRevision(before._id, revisionSnapshot(before), [], before.author, { reason: "baseline" });
+  }
+
+  const changes = diffSnapshots(revisionSnapshot(before), afterSnapshot);
+  if (before && changes.length === 0) return null;
+
+  const extra = { reason };
+  if (restoredFrom) extra.restoredFrom = restoredFrom;
+  return insertRevision(after._id, afterSnapshot, changes, user, extra);
+}
+
+// Revisions শুধু blog এর author বা editor/admin দেখতে পারবে
+async function findManageableBlog(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid blog ID" });
+    return null;
+  }
+  const { blogsCollection } = await getCollections();
+  const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+  if (!blog) {
+    res.status(404).json({ success: false, message: "Blog not found" });
+    return null;
+  }
+  if (!canManageBlog(req.user, blog)) {
+    res.status(403).json({ success: false, message: "Forbidden: not your blog" });
+    return null;
+  }
+  return blog;
+}
+
+app.get("/blogs/:id/revisions", requireRole("author"), validateRequest({ params: idParams, query: paginationQuery }), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const pagination = parsePagination(req.query, { sortFields: ["rev"], defaultSort: "rev" });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { revisionsCollection } = await getCollections();
+    res.json(
+      await paginateFind(revisionsCollection, { blogId: blog._id }, pagination, {
+        projection: { snapshot: 0, changes: 0 },
+      })
+    );
+  } catch (err) {
+    console.error("GET /blogs/:id/revisions error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const revisionDiffSchema = {
+  params: idParams,
+  query: { from: { type: "integer", required: true, min: 1 }, to: { type: "integer", min: 1 } },
+};
+
+// GET /blogs/:id/revisions/diff?from=2&to=5 (to না দিলে current revision)
+app.get("/blogs/:id/revisions/diff", requireRole("author"), validateRequest(revisionDiffSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to ? parseInt(req.query.to, 10) : blog.currentRevision;
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ success: false, message: "from and to must be revision numbers" });
+    }
+
+    const { revisionsCollection } = await getCollections();
+    const [fromRev, toRev] = await Promise.all([
+      revisionsCollection.findOne({ blogId: blog._id, rev: from }),
+      revisionsCollection.findOne({ blogId: blog._id, rev: to }),
+    ]);
+    if (!fromRev || !toRev) return res.status(404).json({ success: false, message: "Revision not found" });
+
+    res.json({ success: true, from, to, changes: diffSnapshots(fromRev.snapshot, toRev.snapshot) });
+  } catch (err) {
+    console.error("GET /blogs/:id/revisions/diff error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const revisionParamsSchema = {
+  params: { ...idParams, rev: { type: "integer", required: true, min: 1 } },
+};
+
+app.get("/blogs/:id/revisions/:rev", requireRole("author"), validateRequest(revisionParamsSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const { revisionsCollection } = await getCollections();
+    const revision = await revisionsCollection.findOne({ blogId: blog._id, rev: parseInt(req.params.rev, 10) });
+    if (!revision) return res.status(404).json({ success: false, message: "Revision not found" });
+
+    res.json({ success: true, revision });
+  } catch (err) {
+    console.error("GET /blogs/:id/revisions/:rev error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/blogs/:id/revisions/:rev/restore", requireRole("author"), validateRequest(revisionParamsSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const conflict = editConflict(req.user, blog);
+    if (conflict) {
+      const { status, error, ...details } = conflict;
+      return res.status(status).json({ success: false, message: error, ...details });
+    }
+
+    const rev = parseInt(req.params.rev, 10);
+    const { blogsCollection, revisionsCollection } = await getCollections();
+    const revision = await revisionsCollection.findOne({ blogId: blog._id, rev });
+    if (!revision) return res.status(404).json({ success: false, message: "Revision not found" });
+
+    // Snapshot এর fields set, snapshot এ নেই এমন content fields unset
+    const restored = withRenderedContent({ ...revision.snapshot }, blog);
+    const update = { $set: { ...restored, ...contentStats(restored.content), updatedAt: new Date() }, $inc: { editVersion: 1 } };
+    const removed = Object.keys(revisionSnapshot(blog)).filter((key) => !(key in restored));
+    if (removed.length) update.$unset = Object.fromEntries(removed.map((key) => [key, ""]));
+
+    const result = await blogsCollection.updateOne(editVersionFilter(blog), update);
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: "Blog was changed by someone else, reload before restoring" });
+    }
+    const restoredBlog = await blogsCollection.findOne({ _id: blog._id });
+    const newRevision = await recordRevision(blog, restoredBlog, req.user, { reason: "restore", restoredFrom: rev });
+    await syncTagCountsSafely(blog.tags || [], restoredBlog.tags || []);
+
+    await logActivity({
+      user: req.user,
+      type: "RESTORE",
+      message: `${req.user.email} restored blog "${restoredBlog.title}" to revision ${rev}`,
+      blogId: blog._id,
+    });
+
+    res.json({
+      success: true,
+      message: `Blog restored to revision ${rev}`,
+      revision: newRevision?.rev ?? restoredBlog.currentRevision,
+      blog: restoredBlog,
+    });
+  } catch (err) {
+    console.error("POST /blogs/:id/revisions/:rev/restore error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Blog status workflow: draft → in_review → scheduled → published → archived
+const BLOG_STATUSES = ["draft", "in_review", "scheduled", "published", "archived"];
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+
+// ownerAllowed: blog এর author নিজেও পারবে; না হলে শুধু minRole বা তার উপরে
+// requiresApproval: current revision টা editor approve না করলে হবে না
+const BLOG_TRANSITIONS = {
+  submit: { from: ["draft"], to: "in_review", minRole: "author", ownerAllowed: true },
+  withdraw: { from: ["in_review", "scheduled"], to: "draft", minRole: "author", ownerAllowed: true },
+  schedule: { from: ["draft", "in_review"], to: "scheduled", minRole: "editor", requiresApproval: true },
+  publish: { from: ["draft", "in_review", "scheduled"], to: "published", minRole: "editor", requiresApproval: true },
+  archive: { from: ["draft", "in_review", "scheduled", "published"], to: "archived", minRole: "author", ownerAllowed: true },
+  unarchive: { from: ["archived"], to: "draft", minRole: "author", ownerAllowed: true },
+};
+
+for (const [action, rule] of Object.entries(BLOG_TRANSITIONS)) {
+  const schema = { params: idParams, body: action === "schedule" ? { publishAt: { type: "date", required: true } } : {} };
+  app.post(`/blogs/:id/${action}`, requireRole(rule.minRole), validateRequest(schema), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid blog ID" });
+
+      const { blogsCollection } = await getCollections();
+      const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+      if (!blog) return res.status(404).json({ success: false, message: "Blog not found" });
+
+      if (rule.ownerAllowed && !canManageBlog(req.user, blog)) {
+        return res.status(403).json({ success: false, message: "Forbidden: You can change only your own blog" });
+      }
+      if (!rule.from.includes(blog.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} a blog that is ${blog.status}`,
+        });
+      }
+      if (rule.requiresApproval && !isApprovedRevision(blog)) {
+        return res.status(409).json({
+          success: false,
+          message: blog.review?.status === "approved"
+            ? "Blog changed after it was approved, it needs to be approved again"
+            : `Blog must be approved by an editor before you can ${action} it`,
+        });
+      }
+
+      const now = new Date();
+      const update = {
+        $set: {
+          status: rule.to,
+          statusUpdatedAt: now,
+          statusUpdatedBy: { uid: req.user.uid, email: req.user.email },
+          updatedAt: now,
+        },
+      };
+
+      if (action === "schedule") {
+        const publishAt = new Date(req.body?.publishAt);
+        if (isNaN(publishAt.getTime()) || publishAt <= now) {
+          return res.status(400).json({ success: false, message: "publishAt must be a future date" });
+        }
+        update.$set.publishAt = publishAt;
+      } else {
+        update.$unset = { publishAt: "" };
+      }
+      if (rule.to === "published") update.$set.publishedAt = now;
+      if (action === "submit") {
+        update.$set.review = { status: "pending", revision: blog.currentRevision || 0, requestedBy: update.$set.statusUpdatedBy, at: now };
+      }
+
+      // status condition দিয়ে update, যাতে একসাথে দুইটা transition না হয়ে যায়;
+      // approval লাগলে editVersion ও মিলতে হবে, যাতে approve এর পরের edit publish না হয়ে যায়
+      const filter = rule.requiresApproval ? { ...editVersionFilter(blog), status: blog.status } : { _id: blog._id, status: blog.status };
+      const result = await blogsCollection.updateOne(filter, update);
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ success: false, message: "Blog status changed meanwhile, please retry" });
+      }
+
+      await logActivity({
+        user: req.user,
+        type: "STATUS",
+        message: `${req.user.email} moved blog "${blog.title}" from ${blog.status} to ${rule.to}`,
+        blogId: blog._id,
+      });
+
+      res.json({ success: true, message: `Blog ${rule.to.replace("_", " ")}`, status: rule.to, publishAt: update.$set.publishAt });
+    } catch (err) {
+      console.error(`POST /blogs/:id/${action} error:`, err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  });
+}
+
+// Scheduled blogs যাদের publishAt পার হয়ে গেছে সেগুলো live করে দেয়
+let schedulerRunning = false;
+async function publishScheduledBlogs() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    const { blogsCollection } = await getCollections();
+    const due = await blogsCollection
+      .find({ status: "scheduled", publishAt: { $lte: new Date() }, ...NOT_DELETED })
+      .toArray();
+
+    for (const blog of due) {
+      // Approve এর পরে content বদলে থাকলে publish না করে আবার review তে পাঠাই
+      if (!isApprovedRevision(blog)) {
+        const now = new Date();
+        const result = await blogsCollection.updateOne(
+          { _id: blog._id, status: "scheduled" },
+          {
+            $set: {
+              status: "in_review",
+              statusUpdatedAt: now,
+              review: { status: "pending", revision: blog.currentRevision || 0, requestedBy: { uid: "system", email: "scheduler" }, at: now },
+              updatedAt: now,
+            },
+            $unset: { publishAt: "" },
+          }
+        );
+        if (result.modifiedCount === 1) {
+          await logActivity({
+            user: { uid: "system", email: "scheduler" },
+            type: "STATUS",
+            message: `Scheduled blog "${blog.title}" changed after approval, sent back to review`,
+            blogId: blog._id,
+          });
+        }
+        continue;
+      }
+
+      const result = await blogsCollection.updateOne(
+        { _id: blog._id, status: "scheduled" },
+        { $set: { status: "published", publishedAt: blog.publishAt, statusUpdatedAt: new Date(), updatedAt: new Date() }, $unset: { publishAt: "" } }
+      );
+      if (result.modifiedCount === 1) {
+        await logActivity({
+          user: { uid: "system", email: "scheduler" },
+          type: "STATUS",
+          message: `Scheduled blog "${blog.title}" published`,
+          blogId: blog._id,
+        });
+      }
+    }
+  } catch (err) {
+    console.error("❌ Blog scheduler error:", err);
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+function startBlogScheduler() {
+  publishScheduledBlogs();
+  setInterval(publishScheduledBlogs, SCHEDULER_INTERVAL_MS);
+  console.log(`⏰ Blog scheduler running every ${SCHEDULER_INTERVAL_MS / 1000}s`);
+}
+
+// ✅ Collaboration - co-authors, editor review notes, approval gate, edit lock
+const EDIT_LOCK_TTL_MS = 5 * 60 * 1000;
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CO_AUTHORS = 10;
+const REVIEWABLE_STATUSES = ["draft", "in_review"];
+
+function activeEditLock(blog) {
+  return blog.editLock && new Date(blog.editLock.expiresAt) > new Date() ? blog.editLock : null;
+}
+
+// অন্য কেউ lock ধরে থাকলে, অথবা client পুরনো editVersion থেকে save করলে আটকাই
+function editConflict(user, blog, baseVersion) {
+  // Scheduled blog approve করা revision নিয়েই publish হবে; বদলাতে হলে আগে withdraw করে draft এ ফেরাতে হয়
+  if (blog.status === "scheduled") {
+    return { status: 409, error: "Scheduled blog cannot be edited, withdraw it to draft first" };
+  }
+  const lock = activeEditLock(blog);
+  if (lock && lock.uid !== user.uid) {
+    return { status: 423, error: `Blog is being edited by ${lock.name || lock.email || "someone else"}`, lock };
+  }
+  if (baseVersion !== undefined && baseVersion !== (blog.editVersion || 0)) {
+    return { status: 409, error: "Blog was changed by someone else, reload before saving", editVersion: blog.editVersion || 0 };
+  }
+  return null;
+}
+
+// Read আর $set এর মাঝে অন্য কেউ save করলে এই filter আর match করে না
+function editVersionFilter(blog) {
+  return { _id: blog._id, editVersion: blog.editVersion ?? null };
+}
+
+// Approve এর পরে content বদলালে (নতুন revision) আবার approve লাগবে
+function isApprovedRevision(blog) {
+  return blog.review?.status === "approved" && blog.review.revision === (blog.currentRevision || 0);
+}
+
+function blogCollaborators(blog) {
+  return [blog.author, ...(blog.coAuthors || [])].filter(Boolean);
+}
+
+function notifyCollaborators(blog, actor, { type, message }) {
+  return Promise.all(
+    blogCollaborators(blog).map((person) =>
+      notifySafely({ recipient: { uid: person.uid, email: person.email }, actor, type, message, blogId: blog._id, link: `/blogs/${blog._id}` })
+    )
+  );
+}
+
+// POST /blogs/:id/lock - editor খোলার সময় lock নেয়; খোলা থাকলে TTL শেষ হওয়ার আগে আবার call করে renew
+app.post("/blogs/:id/lock", requireRole("author"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const now = new Date();
+    const current = activeEditLock(blog);
+    const editLock = {
+      uid: req.user.uid,
+      email: req.user.email || null,
+      name: req.user.name || req.user.email || null,
+      acquiredAt: current?.uid === req.user.uid ? current.acquiredAt : now,
+      expiresAt: new Date(now.getTime() + EDIT_LOCK_TTL_MS),
+    };
+
+    // Lock নেই, মেয়াদ শেষ, অথবা নিজেরই - তবেই নেওয়া যাবে; একসাথে দুইজন চাইলে একজনই পাবে
+    const { blogsCollection } = await getCollections();
+    const result = await blogsCollection.updateOne(
+      { _id: blog._id, $or: [{ editLock: null }, { "editLock.expiresAt": { $lte: now } }, { "editLock.uid": req.user.uid }] },
+      { $set: { editLock } }
+    );
+    if (result.matchedCount === 0) {
+      const locked = await blogsCollection.findOne({ _id: blog._id }, { projection: { editLock: 1 } });
+      return res.status(423).json({
+        success: false,
+        message: `Blog is being edited by ${locked?.editLock?.name || locked?.editLock?.email || "someone else"}`,
+        lock: locked?.editLock,
+      });
+    }
+
+    res.json({ success: true, lock: editLock, editVersion: blog.editVersion || 0 });
+  } catch (err) {
+    console.error("POST /blogs/:id/lock error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Lock holder নিজে ছাড়ে; আটকে থাকা lock editor জোর করে ছাড়াতে পারে
+app.delete("/blogs/:id/lock", requireRole("author"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const lock = activeEditLock(blog);
+    if (lock && lock.uid !== req.user.uid && !hasRole(req.user, "editor")) {
+      return res.status(423).json({ success: false, message: "Lock is held by someone else", lock });
+    }
+
+    const { blogsCollection } = await getCollections();
+    await blogsCollection.updateOne({ _id: blog._id }, { $unset: { editLock: "" } });
+    res.json({ success: true, message: "Lock released" });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/lock error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Co-author দের list, আর owner/editor হলে pending invitations ও
+app.get("/blogs/:id/coauthors", requireRole("author"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    let invitations = [];
+    if (isBlogOwner(req.user, blog) || hasRole(req.user, "editor")) {
+      const { blogInvitationsCollection } = await getCollections();
+      invitations = await blogInvitationsCollection
+        .find({ blogId: blog._id, status: "pending", expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .toArray();
+    }
+    res.json({ success: true, author: blog.author, coAuthors: blog.coAuthors || [], invitations });
+  } catch (err) {
+    console.error("GET /blogs/:id/coauthors error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const coAuthorInviteSchema = {
+  params: idParams,
+  body: {
+    email: { type: "email", required: true },
+    message: { type: "string", maxLength: 500 },
+  },
+};
+
+// POST /blogs/:id/coauthors - invitation পাঠায়; accept করলে তবেই co-author হয়
+app.post("/blogs/:id/coauthors", requireRole("author"), validateRequest(coAuthorInviteSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+    if (!isBlogOwner(req.user, blog) && !hasRole(req.user, "editor")) {
+      return res.status(403).json({ success: false, message: "Only the blog author can invite co-authors" });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const { usersCollection, blogInvitationsCollection } = await getCollections();
+    const invitee = await usersCollection.findOne({ email });
+    if (!invitee) return res.status(404).json({ success: false, message: "No user with this email" });
+    if (!hasRole(invitee, "author")) {
+      return res.status(400).json({ success: false, message: "Co-authors need the author role" });
+    }
+    if (isBlogOwner(invitee, blog) || isCoAuthor(invitee, blog)) {
+      return res.status(409).json({ success: false, message: "User is already an author of this blog" });
+    }
+    if ((blog.coAuthors || []).length >= MAX_CO_AUTHORS) {
+      return res.status(400).json({ success: false, message: `A blog can have at most ${MAX_CO_AUTHORS} co-authors` });
+    }
+
+    const now = new Date();
+    const invitation = {
+      blogId: blog._id,
+      blogTitle: blog.title,
+      email,
+      invitedBy: { uid: req.user.uid, email: req.user.email },
+      message: req.body.message || "",
+      status: "pending",
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_MS),
+    };
+    // আগের মেয়াদ শেষ হওয়া pending invitation থাকলে সেটা বাদ দিয়ে নতুনটা
+    await blogInvitationsCollection.updateMany(
+      { blogId: blog._id, email, status: "pending", expiresAt: { $lte: now } },
+      { $set: { status: "expired" } }
+    );
+    let result;
+    try {
+      result = await blogInvitationsCollection.insertOne(invitation);
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ success: false, message: "User is already invited" });
+      throw err;
+    }
+
+    await notifySafely({
+      recipient: { uid: invitee.uid, email },
+      actor: req.user,
+      type: "INVITE",
+      message: `${req.user.name || req.user.email} invited you to co-author "${blog.title}"`,
+      blogId: blog._id,
+      link: "/me/invitations",
+    });
+
+    res.status(201).json({ success: true, invitation: { _id: result.insertedId, ...invitation } });
+  } catch (err) {
+    console.error("POST /blogs/:id/coauthors error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const invitationParamsSchema = {
+  params: { ...idParams, invitationId: { type: "objectId", required: true } },
+};
+
+app.delete("/blogs/:id/invitations/:invitationId", requireRole("author"), validateRequest(invitationParamsSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+    if (!isBlogOwner(req.user, blog) && !hasRole(req.user, "editor")) {
+      return res.status(403).json({ success: false, message: "Only the blog author can revoke invitations" });
+    }
+
+    const { blogInvitationsCollection } = await getCollections();
+    const result = await blogInvitationsCollection.updateOne(
+      { _id: new ObjectId(req.params.invitationId), blogId: blog._id, status: "pending" },
+      { $set: { status: "revoked", respondedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ success: false, message: "Invitation not found" });
+
+    res.json({ success: true, message: "Invitation revoked" });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/invitations/:invitationId error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const coAuthorParamsSchema = {
+  params: { ...idParams, uid: { type: "string", required: true, maxLength: 128 } },
+};
+
+// Owner/editor co-author কে সরাতে পারে; co-author নিজেও বের হয়ে যেতে পারে
+app.delete("/blogs/:id/coauthors/:uid", requireRole("author"), validateRequest(coAuthorParamsSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const { uid } = req.params;
+    if (uid !== req.user.uid && !isBlogOwner(req.user, blog) && !hasRole(req.user, "editor")) {
+      return res.status(403).json({ success: false, message: "Only the blog author can remove co-authors" });
+    }
+
+    const { blogsCollection } = await getCollections();
+    const result = await blogsCollection.updateOne({ _id: blog._id }, { $pull: { coAuthors: { uid } } });
+    if (result.modifiedCount === 0) return res.status(404).json({ success: false, message: "Co-author not found" });
+    // সরানো co-author এর lock থাকলে সেটাও ছেড়ে দেই
+    await blogsCollection.updateOne({ _id: blog._id, "editLock.uid": uid }, { $unset: { editLock: "" } });
+
+    await logActivity({
+      user: req.user,
+      type: "COAUTHOR",
+      message: `${req.user.email} removed a co-author from blog "${blog.title}"`,
+      blogId: blog._id,
+    });
+    res.json({ success: true, message: "Co-author removed" });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/coauthors/:uid error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const invitationListSchema = {
+  query: { ...paginationQuery, status: { type: "string", enum: ["pending", "accepted", "declined", "revoked", "expired"] } },
+};
+
+// GET /me/invitations - আমাকে পাঠানো co-author invitations (default: pending)
+app.get("/me/invitations", requireRole("user"), validateRequest(invitationListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+    if (!req.user.email) return res.json(pageEnvelope([], 0, pagination));
+
+    const status = req.validQuery.status || "pending";
+    const filter = { email: req.user.email.toLowerCase(), status };
+    if (status === "pending") filter.expiresAt = { $gt: new Date() };
+
+    const { blogInvitationsCollection } = await getCollections();
+    res.json(await paginateFind(blogInvitationsCollection, filter, pagination));
+  } catch (err) {
+    console.error("GET /me/invitations error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Invitation এর উত্তর - accept হলে blog এ coAuthors এ যোগ হয়
+for (const [action, status] of [["accept", "accepted"], ["decline", "declined"]]) {
+  app.post(`/invitations/:id/${action}`, requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+    try {
+      if (!req.user.email) return res.status(404).json({ success: false, message: "Invitation not found" });
+      if (action === "accept" && !hasRole(req.user, "author")) {
+        return res.status(403).json({ success: false, message: "Co-authors need the author role" });
+      }
+
+      const { blogInvitationsCollection, blogsCollection } = await getCollections();
+      const now = new Date();
+      const invitation = await blogInvitationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), email: req.user.email.toLowerCase(), status: "pending", expiresAt: { $gt: now } },
+        { $set: { status, respondedAt: now } },
+        { returnDocument: "after" }
+      );
+      if (!invitation) return res.status(404).json({ success: false, message: "Invitation not found or expired" });
+
+      if (action === "accept") {
+        const coAuthor = { uid: req.user.uid, email: req.user.email, name: req.user.name || "", addedAt: now, invitedBy: invitation.invitedBy };
+        const result = await blogsCollection.updateOne(
+          { _id: invitation.blogId, "coAuthors.uid": { $ne: req.user.uid } },
+          { $push: { coAuthors: coAuthor } }
+        );
+        if (result.matchedCount === 0 && !(await blogsCollection.countDocuments({ _id: invitation.blogId }))) {
+          return res.status(404).json({ success: false, message: "Blog no longer exists" });
+        }
+      }
+
+      await notifySafely({
+        recipient: invitation.invitedBy,
+        actor: req.user,
+        type: "INVITE",
+        message: `${req.user.name || req.user.email} ${status} your invitation to co-author "${invitation.blogTitle}"`,
+        blogId: invitation.blogId,
+        link: `/blogs/${invitation.blogId}`,
+      });
+
+      res.json({ success: true, message: `Invitation ${status}`, blogId: invitation.blogId });
+    } catch (err) {
+      console.error(`POST /invitations/:id/${action} error:`, err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  });
+}
+
+// ✅ Review notes - editor draft এর নির্দিষ্ট অংশে inline comment রাখে, author resolve করে
+const reviewNoteListSchema = {
+  params: idParams,
+  query: { ...paginationQuery, resolved: { type: "boolean" } },
+};
+
+app.get("/blogs/:id/review-notes", requireRole("author"), validateRequest(reviewNoteListSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const pagination = parsePagination(req.validQuery, { sortFields: ["createdAt"], defaultSort: "createdAt" });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const filter = { blogId: blog._id };
+    if (req.validQuery.resolved !== undefined) filter.resolved = req.validQuery.resolved;
+
+    const { reviewNotesCollection } = await getCollections();
+    res.json(await paginateFind(reviewNotesCollection, filter, pagination));
+  } catch (err) {
+    console.error("GET /blogs/:id/review-notes error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const reviewNoteSchema = {
+  params: idParams,
+  body: {
+    body: { type: "string", required: true, maxLength: 2000 },
+    // Content এর কোন অংশ - quote দিয়ে খুঁজি, start/end শুধু hint (পরে edit এ সরে যেতে পারে)
+    quote: { type: "string", maxLength: 500 },
+    start: { type: "integer", min: 0 },
+    end: { type: "integer", min: 0 },
+  },
+};
+
+app.post("/blogs/:id/review-notes", requireRole("editor"), validateRequest(reviewNoteSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+    if (!REVIEWABLE_STATUSES.includes(blog.status)) {
+      return res.status(409).json({ success: false, message: `Cannot review a blog that is ${blog.status}` });
+    }
+
+    const { body, quote, start, end } = req.body;
+    if (start !== undefined && end !== undefined && end < start) {
+      return res.status(400).json({ success: false, message: "end must not be before start" });
+    }
+
+    const note = {
+      blogId: blog._id,
+      author: { uid: req.user.uid, email: req.user.email, name: req.user.name || "" },
+      body,
+      anchor: quote || start !== undefined ? { quote: quote || "", start: start ?? null, end: end ?? null } : null,
+      revision: blog.currentRevision || 0,
+      resolved: false,
+      createdAt: new Date(),
+    };
+    const { reviewNotesCollection } = await getCollections();
+    const result = await reviewNotesCollection.insertOne(note);
+
+    await notifyCollaborators(blog, req.user, {
+      type: "REVIEW",
+      message: `${req.user.name || req.user.email} left a review note on "${blog.title}"`,
+    });
+
+    res.status(201).json({ success: true, note: { _id: result.insertedId, ...note } });
+  } catch (err) {
+    console.error("POST /blogs/:id/review-notes error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const reviewNoteParamsSchema = {
+  params: { ...idParams, noteId: { type: "objectId", required: true } },
+};
+
+const updateReviewNoteSchema = {
+  ...reviewNoteParamsSchema,
+  body: { body: { type: "string", maxLength: 2000 }, resolved: { type: "boolean" } },
+};
+
+// Note এর লেখা শুধু যে লিখেছে সে বদলাবে; resolve blog এর যেকোনো collaborator করতে পারে
+app.patch("/blogs/:id/review-notes/:noteId", requireRole("author"), validateRequest(updateReviewNoteSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const { reviewNotesCollection } = await getCollections();
+    const note = await reviewNotesCollection.findOne({ _id: new ObjectId(req.params.noteId), blogId: blog._id });
+    if (!note) return res.status(404).json({ success: false, message: "Review note not found" });
+
+    const update = { updatedAt: new Date() };
+    if (req.body.body !== undefined) {
+      if (note.author.uid !== req.user.uid) {
+        return res.status(403).json({ success: false, message: "You can edit only your own notes" });
+      }
+      update.body = req.body.body;
+    }
+    if (req.body.resolved !== undefined) {
+      update.resolved = req.body.resolved;
+      update.resolvedBy = req.body.resolved ? { uid: req.user.uid, email: req.user.email } : null;
+      update.resolvedAt = req.body.resolved ? new Date() : null;
+    }
+
+    const updated = await reviewNotesCollection.findOneAndUpdate({ _id: note._id }, { $set: update }, { returnDocument: "after" });
+    res.json({ success: true, note: updated });
+  } catch (err) {
+    console.error("PATCH /blogs/:id/review-notes/:noteId error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/blogs/:id/review-notes/:noteId", requireRole("editor"), validateRequest(reviewNoteParamsSchema), async (req, res) => {
+  try {
+    const blog = await findManageableBlog(req, res);
+    if (!blog) return;
+
+    const filter = { _id: new ObjectId(req.params.noteId), blogId: blog._id };
+    if (!hasRole(req.user, "admin")) filter["author.uid"] = req.user.uid;
+
+    const { reviewNotesCollection } = await getCollections();
+    const result = await reviewNotesCollection.deleteOne(filter);
+    if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Review note not found" });
+
+    res.json({ success: true, message: "Review note deleted" });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/review-notes/:noteId error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Review decision - approve করলে current revision টা publish/schedule এর জন্য ছাড়পত্র পায়
+const reviewDecisionSchema = {
+  params: idParams,
+  body: { comment: { type: "string", maxLength: 2000 } },
+};
+
+const REVIEW_DECISIONS = {
+  approve: { from: REVIEWABLE_STATUSES, review: "approved" },
+  "request-changes": { from: ["in_review"], review: "changes_requested", to: "draft" },
+};
+
+for (const [decision, rule] of Object.entries(REVIEW_DECISIONS)) {
+  app.post(`/blogs/:id/review/${decision}`, requireRole("editor"), validateRequest(reviewDecisionSchema), async (req, res) => {
+    try {
+      const blog = await findManageableBlog(req, res);
+      if (!blog) return;
+      if (!rule.from.includes(blog.status)) {
+        return res.status(409).json({ success: false, message: `Cannot ${decision.replace("-", " ")} a blog that is ${blog.status}` });
+      }
+
+      const { blogsCollection, reviewNotesCollection } = await getCollections();
+      if (decision === "approve") {
+        // নিজের লেখা নিজে approve করলে review step এর মানেই থাকে না
+        if (isBlogOwner(req.user, blog) || isCoAuthor(req.user, blog)) {
+          return res.status(403).json({ success: false, message: "You cannot approve a blog you wrote, ask another editor" });
+        }
+        const openNotes = await reviewNotesCollection.countDocuments({ blogId: blog._id, resolved: false });
+        if (openNotes > 0) {
+          return res.status(409).json({ success: false, message: `Resolve the ${openNotes} open review note(s) before approving` });
+        }
+      } else if (!req.body.comment && !(await reviewNotesCollection.countDocuments({ blogId: blog._id, resolved: false }))) {
+        return res.status(400).json({ success: false, message: "Add a comment or review notes explaining the requested changes" });
+      }
+
+      const now = new Date();
+      const review = {
+        status: rule.review,
+        revision: blog.currentRevision || 0,
+        by: { uid: req.user.uid, email: req.user.email },
+        at: now,
+        comment: req.body.comment || "",
+      };
+      const update = { $set: { review } };
+      if (rule.to) {
+        Object.assign(update.$set, { status: rule.to, statusUpdatedAt: now, statusUpdatedBy: review.by, updatedAt: now });
+      }
+
+      // মাঝখানে কেউ edit বা status বদলালে decision টা পুরনো content এর উপর হয়ে যেত
+      const result = await blogsCollection.updateOne({ ...editVersionFilter(blog), status: blog.status }, update);
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ success: false, message: "Blog changed meanwhile, please review again" });
+      }
+
+      const message = decision === "approve"
+        ? `${req.user.email} approved blog "${blog.title}"`
+        : `${req.user.email} requested changes on blog "${blog.title}"`;
+      await logActivity({ user: req.user, type: "REVIEW", message, blogId: blog._id, notify: false });
+      await notifyCollaborators(blog, req.user, { type: "REVIEW", message });
+
+      res.json({ success: true, message: `Review ${rule.review.replace("_", " ")}`, review, status: rule.to || blog.status });
+    } catch (err) {
+      console.error(`POST /blogs/:id/review/${decision} error:`, err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  });
+}
+
+const userBlogsSchema = {
+  params: { email: { type: "email", required: true } },
+  query: blogListQuery,
+};
+
+app.get("/blogs/user/:email", attachUserIfPresent, validateRequest(userBlogsSchema), async (req, res) => {
+  try {
+    const { blogsCollection } = await getCollections();
+    const email = decodeURIComponent(req.params.email);
+
+    const pagination = parsePagination(req.query, { sortFields: ["createdAt", "likes"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { filter, error } = buildBlogFilter(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    // নিজের dashboard এ drafts সহ সব, অন্যরা শুধু published দেখবে
+    const isSelf = req.user?.email && req.user.email === email;
+    if (!isSelf && !hasRole(req.user, "editor")) filter.status = "published";
+
+    res.json(await paginateFind(blogsCollection, { ...filter, "author.email": email }, pagination));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server Error", error: err.message });
+  }
+});
+
+// ✅ Reactions - প্রতি user প্রতি blog এ একটাই reaction, reactions collection এ (blogId, uid) unique
+const REACTION_TYPES = ["like", "love", "insightful"];
+
+function reactionCounterUpdate(type, delta) {
+  return { $inc: { likes: delta, [`reactionCounts.${type}`]: delta } };
+}
+
+// Reaction set/change/remove - প্রতিটা ধাপ atomic conditional update, তাই race এ counter ভুল হয় না
+// type=null মানে reaction তুলে নেওয়া; { previous, current } ফেরত দেয়
+async function applyReaction(blogId, uid, type) {
+  const { blogsCollection, reactionsCollection } = await getCollections();
+
+  if (!type) {
+    const removed = await reactionsCollection.findOneAndDelete({ blogId, uid });
+    if (removed) await blogsCollection.updateOne({ _id: blogId }, reactionCounterUpdate(removed.type, -1));
+    return { previous: removed?.type || null, current: null };
+  }
+
+  try {
+    await reactionsCollection.insertOne({ blogId, uid, type, createdAt: new Date() });
+    await blogsCollection.updateOne({ _id: blogId }, reactionCounterUpdate(type, 1));
+    await bumpTrendingSafely(blogId, "reaction");
+    return { previous: null, current: type };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // আগে থেকেই reaction আছে - type বদলাই (একই type হলে কিছুই বদলায় না)
+  const before = await reactionsCollection.findOneAndUpdate(
+    { blogId, uid, type: { $ne: type } },
+    { $set: { type, updatedAt: new Date() } },
+    { returnDocument: "before" }
+  );
+  if (before) {
+    await blogsCollection.updateOne(
+      { _id: blogId },
+      { $inc: { [`reactionCounts.${before.type}`]: -1, [`reactionCounts.${type}`]: 1 } }
+    );
+    return { previous: before.type, current: type };
+  }
+  return { previous: type, current: type };
+}
+
+async function findReactableBlog(req, res) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid blog ID" });
+    return null;
+  }
+  const { blogsCollection } = await getCollections();
+  const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...PUBLISHED_BLOG });
+  if (!blog) {
+    res.status(404).json({ success: false, message: "Blog not found" });
+    return null;
+  }
+  return blog;
+}
+
+// নতুন reaction হলে (শুধু type বদলালে না) author কে জানাই
+function notifyReaction(blog, user, change) {
+  if (change.previous || !change.current) return;
+  return notifySafely({
+    recipient: blog.author,
+    actor: user,
+    type: "REACTION",
+    message: `${user.email || user.name || "Someone"} reacted ${change.current} to "${blog.title}"`,
+    blogId: blog._id,
+    link: `/blogs/${blog._id}`,
+  });
+}
+
+async function reactionSummary(blogId, uid) {
+  const { blogsCollection, reactionsCollection } = await getCollections();
+  const blog = await blogsCollection.findOne({ _id: blogId }, { projection: { likes: 1, reactionCounts: 1 } });
+  const counts = Object.fromEntries(REACTION_TYPES.map((t) => [t, blog?.reactionCounts?.[t] || 0]));
+  const mine = uid ? await reactionsCollection.findOne({ blogId, uid }) : null;
+  return { total: blog?.likes || 0, counts, myReaction: mine?.type || null };
+}
+
+// Like toggle (পুরনো frontend এর route) - আবার চাপলে unlike
+app.post("/blogs/:id/like", requireRole("user"), validateRequest({ params: idParams, body: {} }), async (req, res) => {
+  try {
+    const blog = await findReactableBlog(req, res);
+    if (!blog) return;
+
+    const { reactionsCollection } = await getCollections();
+    const existing = await reactionsCollection.findOne({ blogId: blog._id, uid: req.user.uid });
+    const change = await applyReaction(blog._id, req.user.uid, existing?.type === "like" ? null : "like");
+    const { current } = change;
+    await notifyReaction(blog, req.user, change);
+
+    const summary = await reactionSummary(blog._id, req.user.uid);
+    res.json({ success: true, liked: current === "like", likes: summary.total, message: current ? "Like added" : "Like removed" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server Error", error: err.message });
+  }
+});
+
+const reactionSchema = {
+  params: idParams,
+  body: { type: { type: "string", required: true, enum: REACTION_TYPES } },
+};
+
+// PUT /blogs/:id/reactions { type: "love" } - set বা type বদলানো
+app.put("/blogs/:id/reactions", requireRole("user"), validateRequest(reactionSchema), async (req, res) => {
+  try {
+    const type = req.body?.type;
+    if (!REACTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `Invalid reaction. Allowed: ${REACTION_TYPES.join(", ")}` });
+    }
+
+    const blog = await findReactableBlog(req, res);
+    if (!blog) return;
+
+    const change = await applyReaction(blog._id, req.user.uid, type);
+    await notifyReaction(blog, req.user, change);
+    res.json({ success: true, ...change, ...(await reactionSummary(blog._id, req.user.uid)) });
+  } catch (err) {
+    console.error("PUT /blogs/:id/reactions error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/blogs/:id/reactions", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const blog = await findReactableBlog(req, res);
+    if (!blog) return;
+
+    const change = await applyReaction(blog._id, req.user.uid, null);
+    if (!change.previous) return res.status(404).json({ success: false, message: "No reaction to remove" });
+
+    res.json({ success: true, ...change, ...(await reactionSummary(blog._id, req.user.uid)) });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/reactions error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/blogs/:id/reactions", attachUserIfPresent, validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const blog = await findReactableBlog(req, res);
+    if (!blog) return;
+
+    res.json({ success: true, ...(await reactionSummary(blog._id, req.user?.uid)) });
+  } catch (err) {
+    console.error("GET /blogs/:id/reactions error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const myLikesSchema = {
+  query: { ...paginationQuery, type: { type: "string", enum: REACTION_TYPES } },
+};
+
+// GET /me/likes - user যেসব published blog এ react করেছে, নতুনগুলো আগে
+app.get("/me/likes", requireRole("user"), validateRequest(myLikesSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const match = { uid: req.user.uid };
+    if (req.query.type) {
+      if (!REACTION_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: `Invalid reaction. Allowed: ${REACTION_TYPES.join(", ")}` });
+      }
+      match.type = req.query.type;
+    }
+
+    const pipeline = [
+      { $match: match },
+      { $lookup: { from: "blogs", localField: "blogId", foreignField: "_id", as: "blog" } },
+      { $unwind: "$blog" },
+      { $match: { "blog.status": "published", "blog.deletedAt": null } },
+      {
+        $project: {
+          type: 1,
+          createdAt: 1,
+          blog: {
+            _id: "$blog._id",
+            title: "$blog.title",
+            author: "$blog.author",
+            likes: "$blog.likes",
+            createdAt: "$blog.createdAt",
+          },
+        },
+      },
+    ];
+
+    const { reactionsCollection } = await getCollections();
+    res.json(await paginateAggregate(reactionsCollection, pipeline, pagination));
+  } catch (err) {
+    console.error("GET /me/likes error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Follows - reader রা author (Firebase uid) বা tag follow করে; author follow এর counts user document এই রাখি
+const FOLLOW_TARGET_TYPES = ["author", "tag"];
+
+function publicProfile(user) {
+  return {
+    uid: user.uid,
+    name: user.name || user.displayName || "",
+    photoURL: user.photoURL || DEFAULT_AVATAR,
+    role: user.role || "user",
+    followersCount: user.followersCount || 0,
+    followingCount: user.followingCount || 0,
+  };
+}
+
+// Insert সফল হলেই counter বাড়াই, তাই দুইবার follow করলে count ভুল হয় না
+async function follow(followerUid, targetType, target) {
+  const { followsCollection, usersCollection } = await getCollections();
+  try {
+    await followsCollection.insertOne({ followerUid, targetType, target, createdAt: new Date() });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  if (targetType === "author") {
+    await usersCollection.updateOne({ uid: followerUid }, { $inc: { followingCount: 1 } });
+    await usersCollection.updateOne({ uid: target }, { $inc: { followersCount: 1 } });
+  }
+  return true;
+}
+
+async function unfollow(followerUid, targetType, target) {
+  const { followsCollection, usersCollection } = await getCollections();
+  const removed = await followsCollection.findOneAndDelete({ followerUid, targetType, target });
+  if (!removed) return false;
+  if (targetType === "author") {
+    await usersCollection.updateOne({ uid: followerUid }, { $inc: { followingCount: -1 } });
+    await usersCollection.updateOne({ uid: target }, { $inc: { followersCount: -1 } });
+  }
+  return true;
+}
+
+const followUserSchema = { params: { uid: { type: "string", required: true, maxLength: 128 } } };
+
+// GET /users/:uid/profile - public profile + counts (+ token থাকলে আমি follow করি কিনা)
+app.get("/users/:uid/profile", attachUserIfPresent, validateRequest(followUserSchema), async (req, res) => {
+  try {
+    const { usersCollection, blogsCollection, followsCollection } = await getCollections();
+    const user = await usersCollection.findOne({ uid: req.params.uid, ...NOT_DELETED });
+    if (!user) return res.status(404).json({ success: false, message: "User not found" });
+
+    const [postCount, following] = await Promise.all([
+      blogsCollection.countDocuments({ "author.uid": user.uid, ...PUBLISHED_BLOG }),
+      req.user ? followsCollection.findOne({ followerUid: req.user.uid, targetType: "author", target: user.uid }) : null,
+    ]);
+    res.json({ success: true, profile: { ...publicProfile(user), postCount, isFollowing: Boolean(following) } });
+  } catch (err) {
+    console.error("GET /users/:uid/profile error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/users/:uid/follow", requireRole("user"), validateRequest({ ...followUserSchema, body: {} }), async (req, res) => {
+  try {
+    const { uid } = req.params;
+    if (uid === req.user.uid) return res.status(400).json({ success: false, message: "You cannot follow yourself" });
+
+    const { usersCollection } = await getCollections();
+    const author = await usersCollection.findOne({ uid }, { projection: { uid: 1, email: 1 } });
+    if (!author) return res.status(404).json({ success: false, message: "User not found" });
+
+    const created = await follow(req.user.uid, "author", uid);
+    if (created) {
+      await notifySafely({
+        recipient: { uid: author.uid, email: author.email },
+        actor: req.user,
+        type: "FOLLOW",
+        message: `${req.user.name || req.user.email} started following you`,
+        link: `/users/${req.user.uid}`,
+      });
+    }
+    res.json({ success: true, following: true, message: created ? "Followed" : "Already following" });
+  } catch (err) {
+    console.error("POST /users/:uid/follow error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/users/:uid/follow", requireRole("user"), validateRequest(followUserSchema), async (req, res) => {
+  try {
+    const removed = await unfollow(req.user.uid, "author", req.params.uid);
+    if (!removed) return res.status(404).json({ success: false, message: "You are not following this user" });
+    res.json({ success: true, following: false, message: "Unfollowed" });
+  } catch (err) {
+    console.error("DELETE /users/:uid/follow error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const followTagSchema = { params: { tag: { type: "string", required: true, maxLength: MAX_TAG_LENGTH } } };
+
+app.post("/tags/:tag/follow", requireRole("user"), validateRequest({ ...followTagSchema, body: {} }), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ success: false, message: "Invalid tag" });
+
+    const created = await follow(req.user.uid, "tag", tag);
+    res.json({ success: true, following: true, tag, message: created ? "Followed" : "Already following" });
+  } catch (err) {
+    console.error("POST /tags/:tag/follow error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/tags/:tag/follow", requireRole("user"), validateRequest(followTagSchema), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ success: false, message: "Invalid tag" });
+    const removed = await unfollow(req.user.uid, "tag", tag);
+    if (!removed) return res.status(404).json({ success: false, message: "You are not following this tag" });
+    res.json({ success: true, following: false, tag, message: "Unfollowed" });
+  } catch (err) {
+    console.error("DELETE /tags/:tag/follow error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const followListSchema = { ...followUserSchema, query: paginationQuery };
+
+// GET /users/:uid/followers - যারা এই author কে follow করে
+app.get("/users/:uid/followers", validateRequest(followListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { followsCollection } = await getCollections();
+    const page = await paginateAggregate(
+      followsCollection,
+      [
+        { $match: { targetType: "author", target: req.params.uid } },
+        { $lookup: { from: "users", localField: "followerUid", foreignField: "uid", as: "user" } },
+        { $unwind: "$user" },
+      ],
+      pagination
+    );
+    res.json({ ...page, data: page.data.map((f) => ({ ...publicProfile(f.user), followedAt: f.createdAt })) });
+  } catch (err) {
+    console.error("GET /users/:uid/followers error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// GET /users/:uid/following?type=author|tag
+app.get(
+  "/users/:uid/following",
+  validateRequest({ ...followListSchema, query: { ...paginationQuery, type: { type: "string", enum: FOLLOW_TARGET_TYPES } } }),
+  async (req, res) => {
+    try {
+      const pagination = parsePagination(req.validQuery);
+      if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+      const targetType = req.validQuery.type || "author";
+      const { followsCollection } = await getCollections();
+      const pipeline = [{ $match: { followerUid: req.params.uid, targetType } }];
+      if (targetType === "author") {
+        pipeline.push(
+          { $lookup: { from: "users", localField: "target", foreignField: "uid", as: "user" } },
+          { $unwind: "$user" }
+        );
+      }
+      const page = await paginateAggregate(followsCollection, pipeline, pagination);
+      res.json({
+        ...page,
+        data: page.data.map((f) =>
+          targetType === "author" ? { ...publicProfile(f.user), followedAt: f.createdAt } : { tag: f.target, followedAt: f.createdAt }
+        ),
+      });
+    } catch (err) {
+      console.error("GET /users/:uid/following error:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+// GET /me/feed - followed authors আর tags এর published posts, নতুনগুলো আগে
+app.get("/me/feed", requireRole("user"), validateRequest({ query: paginationQuery }), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery, { sortFields: ["publishedAt"], defaultSort: "publishedAt" });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { followsCollection, blogsCollection } = await getCollections();
+    const follows = await followsCollection.find({ followerUid: req.user.uid }).toArray();
+    const authors = follows.filter((f) => f.targetType === "author").map((f) => f.target);
+    const tags = follows.filter((f) => f.targetType === "tag").map((f) => f.target);
+    if (authors.length === 0 && tags.length === 0) {
+      return res.json({ ...pageEnvelope([], 0, pagination), following: { authors: 0, tags: 0 } });
+    }
+
+    const filter = {
+      ...PUBLISHED_BLOG,
+      "author.uid": { $ne: req.user.uid },
+      $or: [{ "author.uid": { $in: authors } }, { tags: { $in: tags } }],
+    };
+    const page = await paginateFind(blogsCollection, filter, pagination, { projection: { content: 0, previousSlugs: 0 } });
+    res.json({ ...page, following: { authors: authors.length, tags: tags.length } });
+  } catch (err) {
+    console.error("GET /me/feed error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Bookmarks - প্রতিটা user এর named reading lists; প্রথম bookmark এ "Saved" list নিজেই তৈরি হয়
+const DEFAULT_READING_LIST = "Saved";
+const MAX_READING_LISTS = 50;
+const READING_LIST_PREVIEW_SIZE = 3;
+
+async function defaultReadingList(uid) {
+  const { readingListsCollection } = await getCollections();
+  try {
+    return await readingListsCollection.findOneAndUpdate(
+      { uid, isDefault: true },
+      { $setOnInsert: { uid, name: DEFAULT_READING_LIST, description: "", isDefault: true, createdAt: new Date() } },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // একসাথে দুইটা upsert হলে অন্যটা default বানিয়ে ফেলেছে; নাহলে নাম reserve হওয়ার আগে
+    // user নিজেই "Saved" নামে list বানিয়েছিল - সেটাকেই default করে দেই
+    const existing = await readingListsCollection.findOne({ uid, isDefault: true });
+    if (existing) return existing;
+    return readingListsCollection.findOneAndUpdate(
+      { uid, name: DEFAULT_READING_LIST },
+      { $set: { isDefault: true } },
+      { returnDocument: "after" }
+    );
+  }
+}
+
+// Default list এর নাম অন্য list এ দিলে পরে default বানানোর সময় unique index এ আটকে যায়
+function isReservedListName(name) {
+  return String(name).trim().toLowerCase() === DEFAULT_READING_LIST.toLowerCase();
+}
+
+async function findOwnReadingList(req, res, id = req.params.id) {
+  const { readingListsCollection } = await getCollections();
+  const list = await readingListsCollection.findOne({ _id: new ObjectId(id), uid: req.user.uid });
+  if (!list) {
+    res.status(404).json({ success: false, message: "Reading list not found" });
+    return null;
+  }
+  return list;
+}
+
+// GET /me/reading-lists - সব lists, item count আর কয়েকটা blog preview সহ (default list সবার আগে)
+app.get("/me/reading-lists", requireRole("user"), async (req, res) => {
+  try {
+    const { readingListsCollection } = await getCollections();
+    const lists = await readingListsCollection
+      .aggregate([
+        { $match: { uid: req.user.uid } },
+        {
+          $lookup: {
+            from: "bookmarks",
+            let: { listId: "$_id" },
+            pipeline: [{ $match: { $expr: { $eq: ["$listId", "$$listId"] } } }, { $count: "n" }],
+            as: "items",
+          },
+        },
+        // List card এ দেখানোর জন্য শেষ কয়েকটা saved blog
+        {
+          $lookup: {
+            from: "bookmarks",
+            let: { listId: "$_id" },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$listId", "$$listId"] } } },
+              { $sort: { createdAt: -1 } },
+              { $limit: READING_LIST_PREVIEW_SIZE },
+              { $lookup: { from: "blogs", localField: "blogId", foreignField: "_id", as: "blog" } },
+              { $unwind: "$blog" },
+              { $match: { "blog.status": "published", "blog.deletedAt": null } },
+              {
+                $project: {
+                  _id: "$blog._id",
+                  title: "$blog.title",
+                  slug: "$blog.slug",
+                  coverImage: { $ifNull: ["$blog.coverImage", "$blog.image"] },
+                },
+              },
+            ],
+            as: "preview",
+          },
+        },
+        { $addFields: { itemCount: { $ifNull: [{ $first: "$items.n" }, 0] } } },
+        { $project: { items: 0 } },
+        { $sort: { isDefault: -1, createdAt: 1 } },
+      ])
+      .toArray();
+    res.json({ success: true, data: lists });
+  } catch (err) {
+    console.error("GET /me/reading-lists error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const readingListSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    description: { type: "string", maxLength: 500 },
+  },
+};
+
+app.post("/me/reading-lists", requireRole("user"), validateRequest(readingListSchema), async (req, res) => {
+  try {
+    const { readingListsCollection } = await getCollections();
+    if ((await readingListsCollection.countDocuments({ uid: req.user.uid })) >= MAX_READING_LISTS) {
+      return res.status(400).json({ success: false, message: `You can have at most ${MAX_READING_LISTS} reading lists` });
+    }
+    if (isReservedListName(req.body.name)) {
+      return res.status(409).json({ success: false, message: `"${DEFAULT_READING_LIST}" is reserved for your default reading list` });
+    }
+
+    const list = { uid: req.user.uid, name: req.body.name, description: req.body.description || "", isDefault: false, createdAt: new Date() };
+    const result = await readingListsCollection.insertOne(list);
+    res.status(201).json({ success: true, list: { _id: result.insertedId, ...list, itemCount: 0 } });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A reading list with this name already exists" });
+    console.error("POST /me/reading-lists error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const updateReadingListSchema = {
+  params: idParams,
+  body: { name: { type: "string", maxLength: 100 }, description: { type: "string", maxLength: 500 } },
+};
+
+app.patch("/me/reading-lists/:id", requireRole("user"), validateRequest(updateReadingListSchema), async (req, res) => {
+  try {
+    const list = await findOwnReadingList(req, res);
+    if (!list) return;
+    if (!list.isDefault && req.body.name !== undefined && isReservedListName(req.body.name)) {
+      return res.status(409).json({ success: false, message: `"${DEFAULT_READING_LIST}" is reserved for your default reading list` });
+    }
+
+    const { readingListsCollection } = await getCollections();
+    const update = { ...req.body, updatedAt: new Date() };
+    await readingListsCollection.updateOne({ _id: list._id }, { $set: update });
+    res.json({ success: true, message: "Reading list updated", list: { ...list, ...update } });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A reading list with this name already exists" });
+    console.error("PATCH /me/reading-lists/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Default list মোছা যায় না; অন্য list মুছলে তার bookmarks ও যায়
+app.delete("/me/reading-lists/:id", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const list = await findOwnReadingList(req, res);
+    if (!list) return;
+    if (list.isDefault) return res.status(400).json({ success: false, message: "The default reading list cannot be deleted" });
+
+    const { readingListsCollection, bookmarksCollection } = await getCollections();
+    await bookmarksCollection.deleteMany({ listId: list._id });
+    await readingListsCollection.deleteOne({ _id: list._id });
+    res.json({ success: true, message: "Reading list deleted" });
+  } catch (err) {
+    console.error("DELETE /me/reading-lists/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// GET /me/reading-lists/:id - list এর bookmarks, blog summary সহ; unpublished হয়ে যাওয়া blogs বাদ
+app.get("/me/reading-lists/:id", requireRole("user"), validateRequest({ params: idParams, query: paginationQuery }), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const list = await findOwnReadingList(req, res);
+    if (!list) return;
+
+    const { bookmarksCollection } = await getCollections();
+    const page = await paginateAggregate(
+      bookmarksCollection,
+      [
+        { $match: { listId: list._id } },
+        { $lookup: { from: "blogs", localField: "blogId", foreignField: "_id", as: "blog" } },
+        { $unwind: "$blog" },
+        { $match: { "blog.status": "published", "blog.deletedAt": null } },
+        {
+          $project: {
+            note: 1,
+            createdAt: 1,
+            blog: {
+              _id: "$blog._id",
+              title: "$blog.title",
+              slug: "$blog.slug",
+              description: "$blog.description",
+              coverImage: { $ifNull: ["$blog.coverImage", "$blog.image"] },
+              author: "$blog.author",
+              tags: "$blog.tags",
+              readingTimeMinutes: "$blog.readingTimeMinutes",
+              publishedAt: "$blog.publishedAt",
+            },
+          },
+        },
+      ],
+      pagination
+    );
+    res.json({ ...page, list });
+  } catch (err) {
+    console.error("GET /me/reading-lists/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const addBookmarkSchema = {
+  params: idParams,
+  body: { listId: { type: "objectId" }, note: { type: "string", maxLength: 500 } },
+};
+
+// POST /blogs/:id/bookmarks { listId? } - listId না দিলে default list এ
+app.post("/blogs/:id/bookmarks", requireRole("user"), validateRequest(addBookmarkSchema), async (req, res) => {
+  try {
+    const blog = await findReactableBlog(req, res);
+    if (!blog) return;
+
+    const list = req.body.listId ? await findOwnReadingList(req, res, req.body.listId) : await defaultReadingList(req.user.uid);
+    if (!list) return;
+
+    const { bookmarksCollection } = await getCollections();
+    try {
+      await bookmarksCollection.insertOne({
+        uid: req.user.uid,
+        listId: list._id,
+        blogId: blog._id,
+        note: req.body.note || "",
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res.json({ success: true, message: "Already in this reading list", listId: list._id });
+    }
+    res.status(201).json({ success: true, message: `Saved to ${list.name}`, listId: list._id });
+  } catch (err) {
+    console.error("POST /blogs/:id/bookmarks error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// DELETE /blogs/:id/bookmarks?listId= - listId না দিলে সব list থেকে সরায়
+app.delete("/blogs/:id/bookmarks", requireRole("user"), validateRequest({ params: idParams, query: { listId: { type: "objectId" } } }), async (req, res) => {
+  try {
+    const filter = { uid: req.user.uid, blogId: new ObjectId(req.params.id) };
+    if (req.validQuery.listId) filter.listId = new ObjectId(req.validQuery.listId);
+
+    const { bookmarksCollection } = await getCollections();
+    const result = await bookmarksCollection.deleteMany(filter);
+    if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Bookmark not found" });
+    res.json({ success: true, message: "Bookmark removed", removed: result.deletedCount });
+  } catch (err) {
+    console.error("DELETE /blogs/:id/bookmarks error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// GET /blogs/:id/bookmarks - এই blog আমার কোন কোন list এ আছে (bookmark button এর জন্য)
+app.get("/blogs/:id/bookmarks", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { bookmarksCollection } = await getCollections();
+    const bookmarks = await bookmarksCollection
+      .find({ uid: req.user.uid, blogId: new ObjectId(req.params.id) }, { projection: { listId: 1 } })
+      .toArray();
+    res.json({ success: true, bookmarked: bookmarks.length > 0, listIds: bookmarks.map((b) => b.listId) });
+  } catch (err) {
+    console.error("GET /blogs/:id/bookmarks error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Moderation - local spam scoring, threshold এর উপরে গেলে pending queue তে যায়
+const SPAM_THRESHOLD = parseFloat(process.env.SPAM_THRESHOLD) || 0.5;
+const SPAM_BLOCKLIST = [
+  "viagra", "casino", "crypto giveaway", "free money", "bitcoin doubler", "loan offer", "escort",
+  ...(process.env.SPAM_BLOCKLIST || "").split(",").map((w) => w.trim().toLowerCase()).filter(Boolean),
+];
+const FINGERPRINT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+const BURST_LIMIT = 5;
+
+// কোন kind এর item কোন collection এ থাকে
+const MODERATION_TARGETS = {
+  comment: "commentsCollection",
+  contact: "contactsCollection",
+  ticket: "ticketsCollection",
+};
+
+// Public listing এ শুধু approved (moderation এর আগের items এ field নেই, ওগুলোও approved)
+const VISIBLE_MODERATION = { moderationStatus: { $nin: ["pending", "rejected"] } };
+
+function contentFingerprint(text) {
+  const normalized = String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+// প্রতিটা scorer { score, reason } দেয়; score 0..1
+function linkDensityScorer({ text }) {
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  const words = text.split(/\s+/).filter(Boolean).length || 1;
+  let score = Math.min(links * 0.15, 0.6);
+  if (links / words > 0.2) score += 0.2;
+  return { score, reason: links ? `${links} links` : null };
+}
+
+function blocklistScorer({ text }) {
+  const lower = text.toLowerCase();
+  const hits = SPAM_BLOCKLIST.filter((word) => lower.includes(word));
+  return { score: Math.min(hits.length * 0.3, 0.9), reason: hits.length ? `blocklisted: ${hits.join(", ")}` : null };
+}
+
+async function repeatSubmissionScorer({ fingerprint, submitterKey }) {
+  const { submissionsCollection } = await getCollections();
+  const now = Date.now();
+  const [sameContent, burst] = await Promise.all([
+    submissionsCollection.countDocuments({ fingerprint, createdAt: { $gte: new Date(now - FINGERPRINT_WINDOW_MS) } }),
+    submissionsCollection.countDocuments({ submitterKey, createdAt: { $gte: new Date(now - BURST_WINDOW_MS) } }),
+  ]);
+
+  let score = 0;
+  const reasons = [];
+  if (sameContent > 0) {
+    score += Math.min(0.3 + (sameContent - 1) * 0.2, 0.8);
+    reasons.push(`repeated ${sameContent}x in 24h`);
+  }
+  if (burst >= BURST_LIMIT) {
+    score += 0.4;
+    reasons.push(`${burst} submissions in 10 min`);
+  }
+  return { score, reason: reasons.join("; ") || null };
+}
+
+const spamScorers = [linkDensityScorer, blocklistScorer, repeatSubmissionScorer];
+
+function submitterKeyOf(submitter) {
+  return submitter.uid || submitter.email || submitter.ip || "anonymous";
+}
+
+async function findActiveBan(submitter) {
+  const { bansCollection } = await getCollections();
+  const or = [];
+  if (submitter.uid) or.push({ uid: submitter.uid });
+  if (submitter.email) or.push({ email: submitter.email.toLowerCase() });
+  if (submitter.ip) or.push({ ip: submitter.ip });
+  if (or.length === 0) return null;
+
+  return bansCollection.findOne({
+    $or: or,
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] }],
+  });
+}
+
+// Submission score করে verdict দেয়; staff (editor+) সরাসরি approved
+async function moderateSubmission({ text, submitter, user }) {
+  const fingerprint = contentFingerprint(text);
+  const submitterKey = submitterKeyOf(submitter);
+
+  let score = 0;
+  const reasons = [];
+  if (!hasRole(user, "editor")) {
+    for (const scorer of spamScorers) {
+      const result = await scorer({ text: String(text || ""), fingerprint, submitterKey, submitter });
+      score += result.score || 0;
+      if (result.reason) reasons.push(result.reason);
+    }
+  }
+  score = Math.min(Math.round(score * 100) / 100, 1);
+
+  const { submissionsCollection } = await getCollections();
+  await submissionsCollection.insertOne({ fingerprint, submitterKey, createdAt: new Date() });
+
+  return { status: score >= SPAM_THRESHOLD ? "pending" : "approved", score, reasons };
+}
+
+// Item insert হওয়ার পর pending হলে queue তে entry রাখি
+async function enqueueForModeration(kind, itemId, verdict, submitter, preview) {
+  if (verdict.status !== "pending") return;
+  const { moderationCollection } = await getCollections();
+  await moderationCollection.insertOne({
+    kind,
+    itemId,
+    score: verdict.score,
+    reasons: verdict.reasons,
+    submitter,
+    preview: String(preview || "").slice(0, 300),
+    status: "pending",
+    createdAt: new Date(),
+  });
+  console.log(`🛡️ ${kind} ${itemId} held for moderation (score ${verdict.score})`);
+}
+
+// Banned হলে 403 পাঠিয়ে true দেয়
+async function rejectIfBanned(res, submitter) {
+  const ban = await findActiveBan(submitter);
+  if (!ban) return false;
+  res.status(403).json({ success: false, message: "You are not allowed to submit content", reason: ban.reason });
+  return true;
+}
+
+async function resolveModerationEntry(req, res, itemStatus) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid queue entry ID" });
+    return null;
+  }
+
+  const collections = await getCollections();
+  const entry = await collections.moderationCollection.findOne({ _id: new ObjectId(id) });
+  if (!entry) {
+    res.status(404).json({ success: false, message: "Queue entry not found" });
+    return null;
+  }
+
+  const now = new Date();
+  const reviewer = { uid: req.user.uid, email: req.user.email };
+  await collections[MODERATION_TARGETS[entry.kind]].updateOne(
+    { _id: entry.itemId },
+    { $set: { moderationStatus: itemStatus, moderatedAt: now } }
+  );
+  await collections.moderationCollection.updateOne(
+    { _id: entry._id },
+    { $set: { status: itemStatus, reviewedBy: reviewer, reviewedAt: now } }
+  );
+  return entry;
+}
+
+const moderationQueueSchema = {
+  query: {
+    ...paginationQuery,
+    status: { type: "string", enum: ["pending", "approved", "rejected"] },
+    kind: { type: "string", enum: Object.keys(MODERATION_TARGETS) },
+  },
+};
+
+// GET /moderation/queue?status=pending&kind=comment
+app.get("/moderation/queue", requireRole("admin"), validateRequest(moderationQueueSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ["createdAt", "score"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const filter = { status: req.query.status || "pending" };
+    if (req.query.kind) {
+      if (!MODERATION_TARGETS[req.query.kind]) {
+        return res.status(400).json({ success: false, message: `Invalid kind. Allowed: ${Object.keys(MODERATION_TARGETS).join(", ")}` });
+      }
+      filter.kind = req.query.kind;
+    }
+
+    const { moderationCollection } = await getCollections();
+    res.json(await paginateFind(moderationCollection, filter, pagination));
+  } catch (err) {
+    console.error("GET /moderation/queue error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/moderation/queue/:id/approve", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const entry = await resolveModerationEntry(req, res, "approved");
+    if (!entry) return;
+    res.json({ success: true, message: `${entry.kind} approved` });
+  } catch (err) {
+    console.error("POST /moderation/queue/:id/approve error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/moderation/queue/:id/reject", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const entry = await resolveModerationEntry(req, res, "rejected");
+    if (!entry) return;
+    res.json({ success: true, message: `${entry.kind} rejected` });
+  } catch (err) {
+    console.error("POST /moderation/queue/:id/reject error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const banSchema = {
+  params: idParams,
+  body: { reason: { type: "string", maxLength: 500 }, days: { type: "integer", min: 1, max: 3650 } },
+};
+
+// Item reject + submitter ban (days না দিলে permanent)
+app.post("/moderation/queue/:id/ban", requireRole("admin"), validateRequest(banSchema), async (req, res) => {
+  try {
+    const entry = await resolveModerationEntry(req, res, "rejected");
+    if (!entry) return;
+
+    const days = parseInt(req.body?.days, 10);
+    const { bansCollection } = await getCollections();
+    const ban = {
+      uid: entry.submitter?.uid || null,
+      email: entry.submitter?.email?.toLowerCase() || null,
+      ip: entry.submitter?.ip || null,
+      reason: req.body?.reason || "Spam",
+      sourceEntryId: entry._id,
+      bannedBy: { uid: req.user.uid, email: req.user.email },
+      createdAt: new Date(),
+      expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    };
+    const result = await bansCollection.insertOne(ban);
+
+    await logActivity({
+      user: req.user,
+      type: "BAN",
+      message: `${req.user.email} banned ${ban.email || ban.uid || ban.ip} (${ban.reason})`,
+    });
+
+    res.json({ success: true, message: "Submitter banned and item rejected", ban: { _id: result.insertedId, ...ban } });
+  } catch (err) {
+    console.error("POST /moderation/queue/:id/ban error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/moderation/bans", requireRole("admin"), validateRequest({ query: paginationQuery }), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { bansCollection } = await getCollections();
+    res.json(await paginateFind(bansCollection, {}, pagination));
+  } catch (err) {
+    console.error("GET /moderation/bans error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/moderation/bans/:id", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid ban ID" });
+
+    const { bansCollection } = await getCollections();
+    const result = await bansCollection.deleteOne({ _id: new ObjectId(id) });
+    if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Ban not found" });
+
+    res.json({ success: true, message: "Ban lifted" });
+  } catch (err) {
+    console.error("DELETE /moderation/bans/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Comments - নিজস্ব collection, nested replies সহ (আগের embedded blog.reviews এর বদলে)
+const DEFAULT_AVATAR = "https://i.ibb.co/MBtjqXQ/default-avatar.png";
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_COMMENT_DEPTH = 5;
+
+// Comment এর author সবসময় token থেকে, body থেকে নয়
+function commentAuthor(user) {
+  return {
+    uid: user.uid,
+    email: user.email || null,
+    name: user.name || user.email || "Anonymous",
+    photoURL: user.picture || DEFAULT_AVATAR,
+  };
+}
+
+// content আর rating validate করে; ঠিক থাকলে { content, rating }, না হলে { error }
+function parseCommentInput(body, { allowRating }) {
+  const content = String(body?.content ?? body?.comment ?? "").trim();
+  if (!content) return { error: "Comment content is required" };
+  if (content.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+
+  let rating = null;
+  if (body?.rating !== undefined && body?.rating !== null && body?.rating !== "") {
+    rating = Number(body.rating);
+    if (!allowRating) return { error: "Only top-level comments can have a rating" };
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: "Rating must be an integer between 1 and 5" };
+    }
+  }
+  return { content, rating };
+}
+
+// Soft-deleted comment এর content লুকিয়ে রাখি, thread এর structure ঠিক থাকে
+function publicComment(comment) {
+  if (!comment.deleted) return comment;
+  return { ...comment, content: "", rating: null, author: null };
+}
+
+// Flat replies list থেকে parentId ধরে tree বানায়
+function buildCommentTree(roots, replies) {
+  const byId = new Map();
+  [...roots, ...replies].forEach((c) => byId.set(c._id.toString(), { ...publicComment(c), replies: [] }));
+  replies.forEach((reply) => {
+    const parent = byId.get(reply.parentId.toString());
+    if (parent) parent.replies.push(byId.get(reply._id.toString()));
+  });
+  return roots.map((root) => byId.get(root._id.toString()));
+}
+
+// blogId → { average, count } (শুধু top-level rated comments)
+async function getRatingSummaries(blogIds) {
+  const { commentsCollection } = await getCollections();
+  const rows = await commentsCollection
+    .aggregate([
+      {
+        $match: {
+          blogId: { $in: blogIds },
+          parentId: null,
+          rating: { $ne: null },
+          deleted: { $ne: true },
+          ...VISIBLE_MODERATION,
+        },
+      },
+      { $group: { _id: "$blogId", average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const summaries = {};
+  rows.forEach((row) => {
+    summaries[row._id.toString()] = { average: Math.round(row.average * 10) / 10, count: row.count };
+  });
+  return summaries;
+}
+
+async function createComment(req, res, { allowRating = true } = {}) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid blog ID" });
+
+  const { blogsCollection, commentsCollection } = await getCollections();
+  const blog = await blogsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED }, { projection: { status: 1, title: 1 } });
+  if (!blog || blog.status !== "published") {
+    return res.status(404).json({ success: false, message: "Blog not found" });
+  }
+
+  let parent = null;
+  const parentId = req.body?.parentId;
+  if (parentId) {
+    if (!ObjectId.isValid(parentId)) return res.status(400).json({ success: false, message: "Invalid parent comment ID" });
+    parent = await commentsCollection.findOne({ _id: new ObjectId(parentId), blogId: blog._id });
+    if (!parent || parent.deleted) return res.status(404).json({ success: false, message: "Parent comment not found" });
+    if (parent.depth + 1 >= MAX_COMMENT_DEPTH) {
+      return res.status(400).json({ success: false, message: "Reply nesting is too deep" });
+    }
+  }
+
+  const input = parseCommentInput(req.body, { allowRating: allowRating && !parent });
+  if (input.error) return res.status(400).json({ success: false, message: input.error });
+
+  const submitter = { uid: req.user.uid, email: req.user.email || null, ip: req.ip };
+  if (await rejectIfBanned(res, submitter)) return;
+  const verdict = await moderateSubmission({ text: input.content, submitter, user: req.user });
+
+  const now = new Date();
+  const comment = {
+    blogId: blog._id,
+    parentId: parent ? parent._id : null,
+    rootId: parent ? parent.rootId || parent._id : null,
+    depth: parent ? parent.depth + 1 : 0,
+    author: commentAuthor(req.user),
+    content: input.content,
+    rating: input.rating,
+    likes: 0,
+    replyCount: 0,
+    deleted: false,
+    moderationStatus: verdict.status,
+    spamScore: verdict.score,
+    createdAt: now,
+    updatedAt: now,
+  };
+  const result = await commentsCollection.insertOne(comment);
+  await enqueueForModeration("comment", result.insertedId, verdict, submitter, input.content);
+  if (parent) await commentsCollection.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+
+  await logActivity({
+    user: req.user,
+    type: parent ? "REPLY" : "COMMENT",
+    message: `${req.user.email} commented on "${blog.title}"`,
+    blogId: blog._id,
+    notify: verdict.status !== "pending",
+  });
+  if (verdict.status !== "pending") await bumpTrendingSafely(blog._id, "comment");
+  if (parent && verdict.status !== "pending") {
+    await notifySafely({
+      recipient: parent.author,
+      actor: req.user,
+      type: "REPLY",
+      message: `${req.user.email} replied to your comment on "${blog.title}"`,
+      blogId: blog._id,
+      link: `/blogs/${blog._id}#comment-${result.insertedId}`,
+    });
+  }
+
+  if (verdict.status === "pending") {
+    return res.status(202).json({
+      success: true,
+      message: "Comment submitted for review",
+      comment: { _id: result.insertedId, ...comment },
+    });
+  }
+  return res.status(201).json({ success: true, message: "Comment added", comment: { _id: result.insertedId, ...comment } });
+}
+
+// Comment খুঁজে owner (বা editor/admin এর জন্য allowStaff) কিনা check করে
+async function findOwnComment(req, res, { allowStaff = false } = {}) {
+  const { id } = req.params;
+  if (!ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: "Invalid comment ID" });
+    return null;
+  }
+  const { commentsCollection } = await getCollections();
+  const comment = await commentsCollection.findOne({ _id: new ObjectId(id) });
+  if (!comment || comment.deleted) {
+    res.status(404).json({ success: false, message: "Comment not found" });
+    return null;
+  }
+  const isOwner = comment.author?.uid === req.user.uid;
+  if (!isOwner && !(allowStaff && hasRole(req.user, "editor"))) {
+    res.status(403).json({ success: false, message: "Forbidden: not your comment" });
+    return null;
+  }
+  return comment;
+}
+
+// GET /blogs/:id/comments?page=1&limit=20 - top-level comments paginate, replies nested
+app.get("/blogs/:id/comments", validateRequest({ params: idParams, query: paginationQuery }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid blog ID" });
+
+    const pagination = parsePagination(req.query, { sortFields: ["createdAt", "likes"] });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { blogsCollection, commentsCollection } = await getCollections();
+    const blogId = new ObjectId(id);
+    // Draft / trash এ থাকা blog এর comments public না
+    const blog = await blogsCollection.findOne({ _id: blogId, ...PUBLISHED_BLOG }, { projection: { _id: 1 } });
+    if (!blog) return res.status(404).json({ success: false, message: "Blog not found" });
+
+    const page = await paginateFind(commentsCollection, { blogId, parentId: null, ...VISIBLE_MODERATION }, pagination);
+
+    const replies = await commentsCollection
+      .find({ rootId: { $in: page.data.map((c) => c._id) }, ...VISIBLE_MODERATION })
+      .sort({ createdAt: 1 })
+      .toArray();
+    page.data = buildCommentTree(page.data, replies);
+
+    const ratings = await getRatingSummaries([blogId]);
+    res.json({ ...page, rating: ratings[id] || { average: 0, count: 0 } });
+  } catch (err) {
+    console.error("GET /blogs/:id/comments error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const createCommentSchema = {
+  params: idParams,
+  body: {
+    content: { type: "string", required: true, maxLength: MAX_COMMENT_LENGTH },
+    rating: { type: "integer", min: 1, max: 5 },
+    parentId: { type: "objectId" },
+  },
+};
+
+app.post("/blogs/:id/comments", requireRole("user"), validateRequest(createCommentSchema), async (req, res) => {
+  try {
+    await createComment(req, res);
+  } catch (err) {
+    console.error("POST /blogs/:id/comments error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const createReviewSchema = {
+  params: idParams,
+  body: {
+    comment: { type: "string", required: true, maxLength: MAX_COMMENT_LENGTH },
+    rating: { type: "integer", min: 1, max: 5 },
+  },
+};
+
+// পুরনো frontend এর জন্য: review = rating সহ top-level comment
+app.post("/blogs/:id/reviews", requireRole("user"), validateRequest(createReviewSchema), async (req, res) => {
+  try {
+    await createComment(req, res);
+  } catch (err) {
+    console.error("POST /blogs/:id/reviews error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const updateCommentSchema = {
+  params: idParams,
+  body: {
+    content: { type: "string", maxLength: MAX_COMMENT_LENGTH },
+    rating: { type: "integer", min: 1, max: 5 },
+  },
+};
+
+// Owner নিজের comment edit করতে পারবে
+app.patch("/comments/:id", requireRole("user"), validateRequest(updateCommentSchema), async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res);
+    if (!comment) return;
+
+    const input = parseCommentInput(
+      { content: req.body?.content ?? comment.content, rating: req.body?.rating ?? comment.rating },
+      { allowRating: !comment.parentId }
+    );
+    if (input.error) return res.status(400).json({ success: false, message: input.error });
+
+    // Edit করে spam ঢোকানো না যায় - নতুন content আবার moderation এ যায়
+    const update = { content: input.content, rating: input.rating };
+    let verdict = null;
+    const submitter = { uid: req.user.uid, email: req.user.email || null, ip: req.ip };
+    if (input.content !== comment.content) {
+      if (await rejectIfBanned(res, submitter)) return;
+      verdict = await moderateSubmission({ text: input.content, submitter, user: req.user });
+      // আগে থেকে pending / rejected থাকলে edit করে approved হওয়া যায় না
+      const wasVisible = !["pending", "rejected"].includes(comment.moderationStatus);
+      if (wasVisible) update.moderationStatus = verdict.status;
+      update.spamScore = verdict.score;
+    }
+
+    const { commentsCollection } = await getCollections();
+    const now = new Date();
+    Object.assign(update, { updatedAt: now, editedAt: now });
+    await commentsCollection.updateOne({ _id: comment._id }, { $set: update });
+    if (update.moderationStatus) {
+      await enqueueForModeration("comment", comment._id, verdict, submitter, input.content);
+    }
+
+    res.json({ success: true, message: "Comment updated", comment: { ...comment, ...update } });
+  } catch (err) {
+    console.error("PATCH /comments/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Replies থাকলে soft delete (thread ভাঙে না), না থাকলে পুরোপুরি মুছে ফেলি
+app.delete("/comments/:id", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const comment = await findOwnComment(req, res, { allowStaff: true });
+    if (!comment) return;
+
+    const { commentsCollection, commentLikesCollection } = await getCollections();
+    if (comment.replyCount > 0) {
+      await commentsCollection.updateOne(
+        { _id: comment._id },
+        { $set: { deleted: true, deletedAt: new Date(), content: "", rating: null } }
+      );
+    } else {
+      await commentsCollection.deleteOne({ _id: comment._id });
+      await commentLikesCollection.deleteMany({ commentId: comment._id });
+      if (comment.parentId) {
+        await commentsCollection.updateOne({ _id: comment.parentId }, { $inc: { replyCount: -1 } });
+      }
+    }
+
+    res.json({ success: true, message: "Comment deleted successfully" });
+  } catch (err) {
+    console.error("DELETE /comments/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Per-comment like: commentLikes এ (commentId, uid) unique, তাই double like হয় না
+app.post("/comments/:id/like", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid comment ID" });
+
+    const { commentsCollection, commentLikesCollection } = await getCollections();
+    const comment = await commentsCollection.findOne({ _id: new ObjectId(id), deleted: { $ne: true } });
+    if (!comment) return res.status(404).json({ success: false, message: "Comment not found" });
+
+    try {
+      await commentLikesCollection.insertOne({ commentId: comment._id, uid: req.user.uid, createdAt: new Date() });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ success: false, message: "Already liked" });
+      throw err;
+    }
+    await commentsCollection.updateOne({ _id: comment._id }, { $inc: { likes: 1 } });
+
+    res.json({ success: true, liked: true, likes: (comment.likes || 0) + 1 });
+  } catch (err) {
+    console.error("POST /comments/:id/like error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.delete("/comments/:id/like", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ success: false, message: "Invalid comment ID" });
+
+    const { commentsCollection, commentLikesCollection } = await getCollections();
+    const result = await commentLikesCollection.deleteOne({ commentId: new ObjectId(id), uid: req.user.uid });
+    if (result.deletedCount === 0) return res.status(404).json({ success: false, message: "Like not found" });
+
+    await commentsCollection.updateOne({ _id: new ObjectId(id) }, { $inc: { likes: -1 } });
+    res.json({ success: true, liked: false });
+  } catch (err) {
+    console.error("DELETE /comments/:id/like error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// GET /reviews - rated top-level comments, সাথে প্রতি blog এর average rating
+app.get("/reviews", validateRequest({ query: { ...paginationQuery, blogId: { type: "objectId" } } }), async (req, res) => {
+  try {
+    const { commentsCollection } = await getCollections();
+
+    const pagination = parsePagination(req.query, { sortFields: ["date", "rating"], defaultSort: "date" });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    // শুধু approved reviews
+    const match = { parentId: null, rating: { $ne: null }, deleted: { $ne: true }, ...VISIBLE_MODERATION };
+    if (req.query.blogId) {
+      if (!ObjectId.isValid(req.query.blogId))
+        return res.status(400).json({ success: false, message: "Invalid blog ID" });
+      match.blogId = new ObjectId(req.query.blogId);
+    }
+
+    const pipeline = [
+      { $match: match },
+      { $lookup: { from: "blogs", localField: "blogId", foreignField: "_id", as: "blog" } },
+      { $unwind: "$blog" },
+      { $match: { "blog.status": "published", "blog.deletedAt": null } },
+      {
+        $project: {
+          userName: { $ifNull: ["$author.name", "Guest"] },
+          userImage: { $ifNull: ["$author.photoURL", DEFAULT_AVATAR] },
+          comment: "$content",
+          rating: 1,
+          likes: 1,
+          date: "$createdAt",
+          blogId: 1,
+          blogTitle: "$blog.title",
+        },
+      },
+    ];
+
+    const page = await paginateAggregate(commentsCollection, pipeline, pagination);
+    const blogIds = [...new Map(page.data.map((r) => [r.blogId.toString(), r.blogId])).values()];
+    res.json({ ...page, ratings: await getRatingSummaries(blogIds) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+// ✅ Search helpers
+const SEARCH_MAX_CANDIDATES = 200;
+const SNIPPET_RADIUS = 80;
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function tokenizeQuery(q) {
+  return q
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+}
+
+// একটা অক্ষর বাদ/বদল/বাড়তি হলেও match করে এমন regex (শেষে boundary নেই, তাই prefix ও match করে)
+function fuzzyTermPattern(term) {
+  const variants = new Set([escapeRegex(term)]);
+  if (term.length >= 4) {
+    for (let i = 0; i < term.length; i++) {
+      const head = escapeRegex(term.slice(0, i));
+      variants.add(head + escapeRegex(term.slice(i + 1)));
+      variants.add(head + "." + escapeRegex(term.slice(i + 1)));
+      variants.add(head + "." + escapeRegex(term.slice(i)));
+    }
+  }
+  return `(?:${[...variants].join("|")})`;
+}
+
+// Match এর আশেপাশের অংশ কেটে HTML-escaped snippet বানায়, match গুলো <mark> এ
+function buildSnippet(text, patterns) {
+  const plain = String(text || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+  if (!plain) return "";
+
+  const re = new RegExp(patterns.join("|"), "giu");
+  const first = re.exec(plain);
+  const start = first ? Math.max(first.index - SNIPPET_RADIUS, 0) : 0;
+  const end = Math.min((first ? first.index : 0) + SNIPPET_RADIUS * 2, plain.length);
+  const window = plain.slice(start, end);
+
+  let html = "";
+  let last = 0;
+  re.lastIndex = 0;
+  for (const m of window.matchAll(re)) {
+    if (!m[0]) continue;
+    html += escapeHtml(window.slice(last, m.index)) + "<mark>" + escapeHtml(m[0]) + "</mark>";
+    last = m.index + m[0].length;
+  }
+  html += escapeHtml(window.slice(last));
+  return (start > 0 ? "…" : "") + html + (end < plain.length ? "…" : "");
+}
+
+function toSearchHit(blog, patterns, score) {
+  return {
+    _id: blog._id,
+    title: blog.title,
+    author: blog.author,
+    tags: blog.tags || [],
+    createdAt: blog.createdAt,
+    score,
+    highlights: {
+      title: buildSnippet(blog.title, patterns),
+      content: buildSnippet(blog.content, patterns),
+    },
+  };
+}
+
+// Search-as-you-type: fuzzy prefix regex দিয়ে candidate এনে JS এ score করি
+async function fuzzySearchBlogs(blogsCollection, terms) {
+  const patterns = terms.map(fuzzyTermPattern);
+  const candidates = await blogsCollection
+    .find(
+      {
+        ...PUBLISHED_BLOG,
+        $or: patterns.flatMap((p) => [
+          { title: { $regex: p, $options: "i" } },
+          { tags: { $regex: p, $options: "i" } },
+          { content: { $regex: p, $options: "i" } },
+        ]),
+      },
+      { projection: { title: 1, content: 1, tags: 1, author: 1, createdAt: 1 } }
+    )
+    .limit(SEARCH_MAX_CANDIDATES)
+    .toArray();
+
+  const scored = candidates.map((blog) => {
+    let score = 0;
+    terms.forEach((term, i) => {
+      const fuzzy = new RegExp(`(?:^|[^\\p{L}\\p{N}])${patterns[i]}`, "iu");
+      const exact = new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegex(term)}`, "iu");
+      if (fuzzy.test(blog.title || "")) score += exact.test(blog.title || "") ? 4 : 3;
+      if ((blog.tags || []).some((t) => fuzzy.test(t))) score += 2;
+      if (fuzzy.test(blog.content || "")) score += 1;
+    });
+    return { blog, score };
+  });
+
+  return scored
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ blog, score }) => toSearchHit(blog, patterns, score));
+}
+
+async function textSearchBlogs(blogsCollection, q, terms) {
+  const patterns = terms.map(escapeRegex);
+  const blogs = await blogsCollection
+    .find(
+      { $text: { $search: q }, ...PUBLISHED_BLOG },
+      {
+        projection: { title: 1, content: 1, tags: 1, author: 1, createdAt: 1, score: { $meta: "textScore" } },
+      }
+    )
+    .sort({ score: { $meta: "textScore" } })
+    .limit(SEARCH_MAX_CANDIDATES)
+    .toArray();
+  return blogs.map((blog) => toSearchHit(blog, patterns, blog.score));
+}
+
+async function searchReviews(terms, limit) {
+  const patterns = terms.map(fuzzyTermPattern);
+  const { commentsCollection } = await getCollections();
+  const reviews = await commentsCollection
+    .aggregate([
+      {
+        $match: {
+          deleted: { $ne: true },
+          ...VISIBLE_MODERATION,
+          content: { $regex: patterns.join("|"), $options: "i" },
+        },
+      },
+      { $lookup: { from: "blogs", localField: "blogId", foreignField: "_id", as: "blog" } },
+      { $unwind: "$blog" },
+      { $match: { "blog.status": "published", "blog.deletedAt": null } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 1,
+          blogId: 1,
+          blogTitle: "$blog.title",
+          userName: { $ifNull: ["$author.name", "Guest"] },
+          comment: "$content",
+          rating: 1,
+          date: "$createdAt",
+        },
+      },
+    ])
+    .toArray();
+  return reviews.map((r) => ({ ...r, highlight: buildSnippet(r.comment, patterns) }));
+}
+
+const searchSchema = {
+  query: {
+    q: { type: "string", required: true, maxLength: 200 },
+    mode: { type: "string", enum: ["prefix"] },
+    includeReviews: { type: "boolean" },
+    page: paginationQuery.page,
+    limit: paginationQuery.limit,
+  },
+};
+
+// GET /search?q=...&mode=prefix&includeReviews=true&page=1&limit=20
+app.get("/search", validateRequest(searchSchema), async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ success: false, message: "Search query (q) is required" });
+
+    const terms = tokenizeQuery(q);
+    if (terms.length === 0) return res.json({ success: true, query: q, data: [], total: 0 });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const { blogsCollection } = await getCollections();
+
+    // Full-word query তে $text আগে, কিছু না পেলে বা typing mode এ fuzzy prefix
+    let hits = req.query.mode === "prefix" ? [] : await textSearchBlogs(blogsCollection, q, terms);
+    if (hits.length === 0) hits = await fuzzySearchBlogs(blogsCollection, terms);
+
+    const response = {
+      success: true,
+      query: q,
+      data: hits.slice((page - 1) * limit, page * limit),
+      total: hits.length,
+      page,
+      limit,
+    };
+
+    if (req.query.includeReviews === "true") {
+      response.reviews = await searchReviews(terms, limit);
+    }
+
+    res.json(response);
+  } catch (err) {
+    console.error("GET /search error:", err);
+    res.status(500).json({ success: false, message: "Search failed" });
+  }
+});
+
+// ✅ Media uploads - MIME sniffing, size limit, pluggable storage, thumbnail + responsive sizes
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const MEDIA_UPLOAD_DIR = process.env.MEDIA_UPLOAD_DIR || path.join(__dirname, "uploads");
+const MEDIA_THUMBNAIL_SIZE = 200;
+const MEDIA_RESPONSIVE_WIDTHS = [480, 960, 1600];
+
+// Client এর পাঠানো Content-Type বিশ্বাস করি না, file এর প্রথম bytes দেখে type ঠিক করি
+// SVG ইচ্ছা করে নেই - ভিতরে script রাখা যায়
+const MEDIA_SIGNATURES = [
+  { mimeType: "image/jpeg", ext: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: "image/png", ext: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: "image/gif", ext: "gif", test: (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")) },
+  { mimeType: "image/webp", ext: "webp", test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+];
+
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  return MEDIA_SIGNATURES.find((sig) => sig.test(buffer)) || null;
+}
+
+// Storage backend: { name, save(key, buffer, contentType) -> url, remove(key) }
+const localMediaStorage = {
+  name: "local",
+  async save(key, buffer) {
+    const filePath = path.join(MEDIA_UPLOAD_DIR, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return `${PUBLIC_API_URL}/uploads/${key}`;
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(MEDIA_UPLOAD_DIR, key), { force: true });
+  },
+};
+
+function firebaseMediaStorage() {
+  const bucket = admin.storage().bucket();
+  return {
+    name: "firebase",
+    async save(key, buffer, contentType) {
+      await bucket.file(key).save(buffer, {
+        contentType,
+        resumable: false,
+        public: true,
+        metadata: { cacheControl: "public, max-age=31536000, immutable" },
+      });
+      return `https://storage.googleapis.com/${bucket.name}/${key}`;
+    },
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+  };
+}
+
+const mediaStorages = {
+  local: () => localMediaStorage,
+  firebase: firebaseMediaStorage,
+};
+
+const mediaStorageCache = {};
+function getMediaStorage(name = process.env.MEDIA_STORAGE || "local") {
+  if (!mediaStorages[name]) throw new Error(`Unknown MEDIA_STORAGE: ${name}`);
+  if (!mediaStorageCache[name]) mediaStorageCache[name] = mediaStorages[name]();
+  return mediaStorageCache[name];
+}
+
+// Local disk এ রাখা files serve করা; নাম random তাই লম্বা cache দেওয়া যায়
+app.use("/uploads", express.static(MEDIA_UPLOAD_DIR, { maxAge: "30d", immutable: true, index: false }));
+
+const MEDIA_TOO_LARGE = `File is too large (max ${Math.round(MEDIA_MAX_BYTES / 1024 / 1024)} MB)`;
+
+// Upload করা buffer থেকে original (EXIF বাদ দিয়ে) + thumbnail + responsive sizes বানিয়ে store করে
+// ভুল file হলে { status, error }, নাহলে { media } ফেরত দেয়
+async function storeImage(buffer, owner, { originalName = null, alt = "" } = {}) {
+  if (buffer.length > MEDIA_MAX_BYTES) return { status: 413, error: MEDIA_TOO_LARGE };
+  const type = sniffImageType(buffer);
+  if (!type) return { status: 415, error: "Unsupported file type. Allowed: JPEG, PNG, GIF, WebP" };
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    return { status: 415, error: "File is not a valid image" };
+  }
+
+  const storage = getMediaStorage();
+  const baseKey = `media/${owner.uid}/${crypto.randomBytes(12).toString("hex")}`;
+  const storedKeys = [];
+  const save = async (key, data, contentType) => {
+    const url = await storage.save(key, data, contentType);
+    storedKeys.push(key);
+    return url;
+  };
+
+  try {
+    // rotate() EXIF orientation apply করে, আর sharp default এ metadata (GPS ইত্যাদি) রাখে না
+    const original = type.mimeType === "image/gif" ? buffer : await sharp(buffer).rotate().toBuffer();
+    const url = await save(`${baseKey}/original.${type.ext}`, original, type.mimeType);
+
+    const variants = [];
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize(MEDIA_THUMBNAIL_SIZE, MEDIA_THUMBNAIL_SIZE, { fit: "cover" })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    const thumbnailKey = `${baseKey}/thumb.webp`;
+    const thumbnailUrl = await save(thumbnailKey, thumbnail.data, "image/webp");
+    variants.push({ name: "thumbnail", key: thumbnailKey, url: thumbnailUrl, width: thumbnail.info.width, height: thumbnail.info.height, size: thumbnail.info.size });
+
+    // Original এর চেয়ে বড় size বানাই না
+    for (const width of MEDIA_RESPONSIVE_WIDTHS.filter((w) => w < (metadata.width || 0))) {
+      const resized = await sharp(buffer).rotate().resize({ width }).webp({ quality: 82 }).toBuffer({ resolveWithObject: true });
+      const key = `${baseKey}/w${width}.webp`;
+      const variantUrl = await save(key, resized.data, "image/webp");
+      variants.push({ name: `w${width}`, key, url: variantUrl, width: resized.info.width, height: resized.info.height, size: resized.info.size });
+    }
+
+    const { mediaCollection } = await getCollections();
+    const media = {
+      owner: { uid: owner.uid, email: owner.email || null },
+      storage: storage.name,
+      key: `${baseKey}/original.${type.ext}`,
+      url,
+      thumbnailUrl,
+      originalName,
+      alt,
+      mimeType: type.mimeType,
+      size: original.length,
+      width: metadata.width || null,
+      height: metadata.height || null,
+      variants,
+      createdAt: new Date(),
+    };
+    const result = await mediaCollection.insertOne(media);
+    return { media: { _id: result.insertedId, ...media } };
+  } catch (err) {
+    // আধা-আধি upload হলে যা save হয়েছে মুছে ফেলি
+    await Promise.all(storedKeys.map((key) => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+}
+
+async function removeStoredMedia(media) {
+  const storage = getMediaStorage(media.storage);
+  const keys = [media.key, ...(media.variants || []).map((v) => v.key)];
+  await Promise.all(keys.map((key) => storage.remove(key)));
+}
+
+// Memory তে রাখি (limit এর বেশি হলে multer নিজেই থামায়), তারপর sniff + resize
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES, files: 1, fields: 5 },
+}).single("file");
+
+function parseMediaUpload(req, res, next) {
+  mediaUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ success: false, message: MEDIA_TOO_LARGE });
+    }
+    res.status(400).json({ success: false, message: err.message });
+  });
+}
+
+// POST /media - multipart/form-data, field "file" (+ optional "alt")
+app.post("/media", requireRole("user"), parseMediaUpload, validateRequest({ body: { alt: { type: "string", maxLength: 300 } } }), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ success: false, message: "File is required (field \"file\")" });
+
+    const { media, status, error } = await storeImage(req.file.buffer, req.user, { originalName: req.file.originalname, alt: req.body.alt || "" });
+    if (error) return res.status(status).json({ success: false, message: error });
+
+    res.status(201).json({ success: true, media });
+  } catch (err) {
+    console.error("POST /media error:", err);
+    res.status(500).json({ success: false, message: "Upload failed", error: err.message });
+  }
+});
+
+// Base64 এ 4/3 গুণ বড় হয়, সাথে JSON এর জন্য একটু বাড়তি জায়গা
+const base64UploadParser = express.json({ limit: Math.ceil((MEDIA_MAX_BYTES * 4) / 3) + 64 * 1024 });
+
+function parseBase64Upload(req, res, next) {
+  base64UploadParser(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === "entity.too.large") {
+      return res.status(413).json({ success: false, message: MEDIA_TOO_LARGE });
+    }
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: [{ field: "body", message: "Request body must be valid JSON" }],
+      });
+    }
+    next(err);
+  });
+}
+
+// Upload image (পুরনো frontend এর base64 route) - এখন একই pipeline দিয়ে যায়
+app.post("/upload-image", requireRole("user"), parseBase64Upload, validateRequest({ body: { imageBase64: { type: "string", required: true } } }), async (req, res) => {
+  try {
+    const { imageBase64 } = req.body;
+    const buffer = Buffer.from(imageBase64.replace(/^data:[\w/+.-]+;base64,/, ""), "base64");
+    if (buffer.length === 0) return res.status(400).json({ success: false, message: "Image required" });
+
+    const { media, status, error } = await storeImage(buffer, req.user);
+    if (error) return res.status(status).json({ success: false, message: error });
+
+    res.json({ success: true, url: media.url, media });
+  } catch (err) {
+    console.error("Image upload error:", err);
+    res.status(500).json({ success: false, message: "Upload failed", error: err.message });
+  }
+});
+
+const mediaListSchema = {
+  query: { ...paginationQuery, owner: { type: "string", maxLength: 128 } },
+};
+
+// GET /media - নিজের media library; admin ?owner=<uid> দিয়ে অন্যেরটা দেখতে পারে
+app.get("/media", requireRole("user"), validateRequest(mediaListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { owner } = req.validQuery;
+    if (owner && owner !== req.user.uid && !hasRole(req.user, "admin")) {
+      return res.status(403).json({ success: false, message: "Access denied: admin role required" });
+    }
+
+    const { mediaCollection } = await getCollections();
+    res.json(await paginateFind(mediaCollection, { "owner.uid": owner || req.user.uid }, pagination));
+  } catch (err) {
+    console.error("GET /media error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// DELETE /media/:id - owner বা admin; storage থেকে সব size মুছে দেয়
+app.delete("/media/:id", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { mediaCollection } = await getCollections();
+    const media = await mediaCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!media) return res.status(404).json({ success: false, message: "Media not found" });
+    if (media.owner?.uid !== req.user.uid && !hasRole(req.user, "admin")) {
+      return res.status(403).json({ success: false, message: "Forbidden: not your media" });
+    }
+
+    await removeStoredMedia(media);
+    await mediaCollection.deleteOne({ _id: media._id });
+    res.json({ success: true, message: "Media deleted" });
+  } catch (err) {
+    console.error("DELETE /media/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+app.get("/activities", requireRole("user"), async (req, res) => {
+  try {
+    const uid = req.user.uid; // Firebase token থেকে uid
+    const { activitiesCollection } = await getCollections();
+
+    const activities = await activitiesCollection
+      .find({ "user.uid": uid }) // শুধু এই user এর activities
+      .sort({ timestamp: -1 })
+      .toArray();
+
+    res.json(activities);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Failed to fetch activities" });
+  }
+});
+// Stats
+app.get("/stats", requireRole("admin"), async (req, res) => {
+  try {
+    const { usersCollection, blogsCollection } = await getCollections();
+    const totalUsers = await usersCollection.countDocuments(NOT_DELETED);
+    const totalBlogs = await blogsCollection.countDocuments(NOT_DELETED);
+    const mostLiked = await blogsCollection.find(NOT_DELETED).sort({ likes: -1 }).limit(1).toArray();
+    res.json({ totalUsers, totalBlogs, mostLiked: mostLiked[0] || null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server Error", error: err.message });
+  }
+});
+
+// ✅ Analytics - admin dashboard এর time-series / leaderboard, সব aggregation pipeline দিয়ে
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_BUCKETS = 400;
+const ANALYTICS_CACHE_TTL_MS = parseInt(process.env.ANALYTICS_CACHE_TTL_MS, 10) || 5 * 60 * 1000;
+const ANALYTICS_CACHE_MAX_ENTRIES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dashboard বারবার একই range চায়, তাই ছোট in-memory cache (TTL শেষ হলে আবার হিসাব)
+const analyticsCache = new Map();
+
+async function cachedAnalytics(key, compute) {
+  const hit = analyticsCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return { ...hit.value, cached: true };
+
+  const value = { ...(await compute()), generatedAt: new Date() };
+  analyticsCache.delete(key);
+  analyticsCache.set(key, { value, expiresAt: Date.now() + ANALYTICS_CACHE_TTL_MS });
+  // Map insertion order রাখে, তাই প্রথমটাই সবচেয়ে পুরনো
+  if (analyticsCache.size > ANALYTICS_CACHE_MAX_ENTRIES) analyticsCache.delete(analyticsCache.keys().next().value);
+  return { ...value, cached: false };
+}
+
+// UTC তে bucket শুরু; week সোমবার থেকে ($dateTrunc এর startOfWeek এর সাথে মিল রেখে)
+function bucketStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === "month") d.setUTCDate(1);
+  return d;
+}
+
+function nextBucket(date, interval) {
+  const d = new Date(date);
+  if (interval === "day") d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === "week") d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+// ?from&to&interval - default শেষ 30 দিন, প্রতিদিন; { error } বা range ফেরত দেয়
+function parseAnalyticsRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - ANALYTICS_DEFAULT_DAYS * DAY_MS);
+  const interval = query.interval || "day";
+  if (from >= to) return { error: "from must be before to" };
+
+  const stepDays = { day: 1, week: 7, month: 28 }[interval];
+  if ((to - from) / (stepDays * DAY_MS) > ANALYTICS_MAX_BUCKETS) {
+    return { error: `Range too large for interval ${interval}` };
+  }
+  return { from, to, interval };
+}
+
+// $group output কে range এর সব bucket এ বসাই - খালি bucket 0, যাতে chart এ ফাঁক না থাকে
+function fillBuckets(rows, { from, to, interval }, fields = ["count"]) {
+  const byTime = new Map(rows.map((row) => [new Date(row._id).getTime(), row]));
+  const series = [];
+  for (let t = bucketStart(from, interval); t < to; t = nextBucket(t, interval)) {
+    const row = byTime.get(t.getTime()) || {};
+    series.push({ date: t, ...Object.fromEntries(fields.map((f) => [f, row[f] ?? 0])) });
+  }
+  return series;
+}
+
+async function countSeries(collection, dateField, range, match = {}) {
+  const rows = await collection
+    .aggregate([
+      { $match: { ...match, [dateField]: { $gte: range.from, $lt: range.to } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: `$${dateField}`, unit: range.interval, startOfWeek: "monday" } },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  return fillBuckets(rows, range);
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function toHours(ms) {
+  return ms == null ? null : Math.round((ms / HOUR_MS) * 100) / 100;
+}
+
+const analyticsRangeQuery = {
+  from: { type: "date" },
+  to: { type: "date" },
+  interval: { type: "string", enum: ANALYTICS_INTERVALS },
+};
+const analyticsTopQuery = {
+  from: { type: "date" },
+  to: { type: "date" },
+  limit: { type: "integer", min: 1, max: 50 },
+};
+
+// প্রতিটা analytics route একই ধাঁচের: admin, range parse, cache, compute
+function analyticsRoute(path, query, compute) {
+  app.get(path, requireRole("admin"), validateRequest({ query }), async (req, res) => {
+    try {
+      const range = parseAnalyticsRange(req.validQuery);
+      if (range.error) return res.status(400).json({ success: false, message: range.error });
+
+      const key = `${path}?${JSON.stringify(req.validQuery)}`;
+      const result = await cachedAnalytics(key, () => compute(range, req.validQuery));
+      res.json({ success: true, from: range.from, to: range.to, ...result });
+    } catch (err) {
+      console.error(`GET ${path} error:`, err);
+      res.status(500).json({ success: false, message: "Failed to compute analytics" });
+    }
+  });
+}
+
+// GET /analytics/growth - নতুন users / blogs / comments / reviews প্রতি day/week/month
+analyticsRoute("/analytics/growth", analyticsRangeQuery, async (range) => {
+  const { usersCollection, blogsCollection, commentsCollection } = await getCollections();
+  const [users, blogs, comments, reviews] = await Promise.all([
+    countSeries(usersCollection, "created_at", range, NOT_DELETED),
+    countSeries(blogsCollection, "createdAt", range, NOT_DELETED),
+    countSeries(commentsCollection, "createdAt", range, { deleted: { $ne: true } }),
+    countSeries(commentsCollection, "createdAt", range, { deleted: { $ne: true }, rating: { $ne: null } }),
+  ]);
+  return { interval: range.interval, users, blogs, comments, reviews };
+});
+
+// GET /analytics/top-authors - range এ publish হওয়া posts ধরে
+analyticsRoute("/analytics/top-authors", analyticsTopQuery, async (range, query) => {
+  const { blogsCollection } = await getCollections();
+  const authors = await blogsCollection
+    .aggregate([
+      { $match: { ...PUBLISHED_BLOG, publishedAt: { $gte: range.from, $lt: range.to } } },
+      {
+        $group: {
+          _id: "$author.email",
+          uid: { $first: "$author.uid" },
+          name: { $first: "$author.name" },
+          posts: { $sum: 1 },
+          likes: { $sum: { $ifNull: ["$likes", 0] } },
+          views: { $sum: { $ifNull: ["$views", 0] } },
+        },
+      },
+      { $sort: { posts: -1, likes: -1 } },
+      { $limit: query.limit || 10 },
+      { $project: { _id: 0, email: "$_id", uid: 1, name: 1, posts: 1, likes: 1, views: 1 } },
+    ])
+    .toArray();
+  return { authors };
+});
+
+// GET /analytics/top-posts?by=likes|views|comments
+analyticsRoute(
+  "/analytics/top-posts",
+  { ...analyticsTopQuery, by: { type: "string", enum: ["likes", "views", "comments"] } },
+  async (range, query) => {
+    const { blogsCollection, commentsCollection } = await getCollections();
+    const by = query.by || "likes";
+    const limit = query.limit || 10;
+    const postFields = { _id: 1, title: 1, slug: 1, author: 1, publishedAt: 1, likes: 1, views: 1 };
+
+    // Comments: range এ আসা comments গুনে, তারপর blog join
+    if (by === "comments") {
+      const posts = await commentsCollection
+        .aggregate([
+          { $match: { createdAt: { $gte: range.from, $lt: range.to }, deleted: { $ne: true } } },
+          { $group: { _id: "$blogId", comments: { $sum: 1 } } },
+          { $sort: { comments: -1 } },
+          { $lookup: { from: "blogs", localField: "_id", foreignField: "_id", as: "blog" } },
+          { $unwind: "$blog" },
+          { $match: { "blog.status": "published", "blog.deletedAt": null } },
+          { $limit: limit },
+          { $replaceRoot: { newRoot: { $mergeObjects: [{ comments: "$comments" }, "$blog"] } } },
+          { $project: { ...postFields, comments: 1 } },
+        ])
+        .toArray();
+      return { by, posts };
+    }
+
+    const posts = await blogsCollection
+      .aggregate([
+        { $match: { ...PUBLISHED_BLOG, publishedAt: { $gte: range.from, $lt: range.to } } },
+        { $addFields: { likes: { $ifNull: ["$likes", 0] }, views: { $ifNull: ["$views", 0] } } },
+        { $sort: { [by]: -1, _id: -1 } },
+        { $limit: limit },
+        { $project: postFields },
+      ])
+      .toArray();
+    return { by, posts };
+  }
+);
+
+// GET /analytics/subscribers - নতুন / confirmed / unsubscribed series + এখনকার totals
+analyticsRoute("/analytics/subscribers", analyticsRangeQuery, async (range) => {
+  const { subscribersCollection } = await getCollections();
+  const [signups, confirmations, unsubscribes, statuses] = await Promise.all([
+    countSeries(subscribersCollection, "createdAt", range),
+    countSeries(subscribersCollection, "confirmedAt", range),
+    countSeries(subscribersCollection, "unsubscribedAt", range),
+    subscribersCollection.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]).toArray(),
+  ]);
+  const totals = Object.fromEntries(statuses.map((s) => [s._id || "unknown", s.count]));
+  return { interval: range.interval, totals, signups, confirmations, unsubscribes };
+});
+
+// GET /analytics/tickets - range এ resolve হওয়া tickets এর resolution / first response সময় (ঘণ্টায়)
+analyticsRoute("/analytics/tickets", analyticsRangeQuery, async (range) => {
+  const { ticketsCollection } = await getCollections();
+  const [resolved, series, opened] = await Promise.all([
+    ticketsCollection
+      .aggregate([
+        { $match: { resolvedAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $project: {
+            priority: { $ifNull: ["$priority", "medium"] },
+            resolutionMs: { $subtract: ["$resolvedAt", "$createdAt"] },
+            firstResponseMs: { $cond: [{ $ifNull: ["$firstResponseAt", false] }, { $subtract: ["$firstResponseAt", "$createdAt"] }, null] },
+            breached: { $gt: ["$resolvedAt", "$sla.resolutionDueAt"] },
+          },
+        },
+      ])
+      .toArray(),
+    ticketsCollection
+      .aggregate([
+        { $match: { resolvedAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: { $dateTrunc: { date: "$resolvedAt", unit: range.interval, startOfWeek: "monday" } },
+            count: { $sum: 1 },
+            avgResolutionMs: { $avg: { $subtract: ["$resolvedAt", "$createdAt"] } },
+          },
+        },
+      ])
+      .toArray(),
+    countSeries(ticketsCollection, "createdAt", range),
+  ]);
+
+  const summarize = (rows) => {
+    const resolution = rows.map((r) => r.resolutionMs).sort((a, b) => a - b);
+    const firstResponse = rows.map((r) => r.firstResponseMs).filter((ms) => ms != null).sort((a, b) => a - b);
+    const avg = (list) => (list.length ? list.reduce((sum, ms) => sum + ms, 0) / list.length : null);
+    return {
+      resolved: rows.length,
+      slaBreached: rows.filter((r) => r.breached).length,
+      resolutionHours: {
+        avg: toHours(avg(resolution)),
+        median: toHours(percentile(resolution, 50)),
+        p90: toHours(percentile(resolution, 90)),
+      },
+      firstResponseHours: { avg: toHours(avg(firstResponse)), median: toHours(percentile(firstResponse, 50)) },
+    };
+  };
+
+  const byPriority = Object.fromEntries(
+    TICKET_PRIORITIES.map((priority) => [priority, summarize(resolved.filter((r) => r.priority === priority))])
+  );
+  const resolvedSeries = fillBuckets(series, range, ["count", "avgResolutionMs"]).map(({ avgResolutionMs, ...bucket }) => ({
+    ...bucket,
+    avgResolutionHours: avgResolutionMs ? toHours(avgResolutionMs) : null,
+  }));
+
+  return { interval: range.interval, overall: summarize(resolved), byPriority, opened, resolved: resolvedSeries };
+});
+
+const roleUpdateSchema = {
+  params: { id: { type: "string", required: true, maxLength: 128 } },
+  body: { role: { type: "string", required: true, enum: ROLE_HIERARCHY } },
+};
+
+// Update user role
+app.patch("/role/:id", requireRole("admin"), validateRequest(roleUpdateSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+    if (!ROLE_HIERARCHY.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Allowed: ${ROLE_HIERARCHY.join(", ")}` });
+    }
+
+    const updatedUser = await setUserRole(userIdFilter(id), role);
+    if (!updatedUser) return res.status(404).json({ message: "User not found" });
+
+    res.status(200).json({ message: "User role updated", user: updatedUser });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+const contactSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    email: { type: "email", required: true },
+    message: { type: "string", required: true, maxLength: 5000 },
+  },
+};
+
+// Contacts
+app.post("/contacts", validateRequest(contactSchema), async (req, res) => {
+  try {
+    const { name, email, message } = req.body;
+    if (!name || !email || !message) return res.status(400).json({ message: "All fields are required" });
+
+    const submitter = { email, ip: req.ip };
+    if (await rejectIfBanned(res, submitter)) return;
+    const verdict = await moderateSubmission({ text: `${name}\n${message}`, submitter });
+
+    const { contactsCollection } = await getCollections();
+    const result = await contactsCollection.insertOne({
+      name,
+      email,
+      message,
+      moderationStatus: verdict.status,
+      spamScore: verdict.score,
+      createdAt: new Date(),
+    });
+    await enqueueForModeration("contact", result.insertedId, verdict, submitter, message);
+
+    // Spammer কে জানাই না যে আটকে গেছে
+    res.status(201).json({ message: "Message received!" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// index.js or routes/contacts.js
+app.get("/contacts", requireRole("admin"), async (req, res) => {
+  try {
+    const { contactsCollection } = await getCollections();
+    const contacts = await contactsCollection.find({ ...VISIBLE_MODERATION, ...NOT_DELETED }).toArray();
+    res.json(contacts);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+
+app.delete("/contacts/:id", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contactsCollection } = await getCollections();
+
+    const contact = await softDelete(contactsCollection, { _id: new ObjectId(id) }, req.user);
+    if (!contact) return res.status(404).json({ message: "Message not found" });
+
+    res.status(200).json({ message: "Message moved to trash" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// ✅ Mail transport - "console" (শুধু log, dev এর জন্য) অথবা "smtp" দিয়ে local SMTP stand-in বা relay
+const MAIL_FROM = process.env.MAIL_FROM || "Web Blog <no-reply@localhost>";
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${PORT}`;
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+// Port 465 এ implicit TLS (SMTP_SECURE=true), নাহলে login থাকলে STARTTLS বাধ্যতামূলক - credentials কখনো plaintext এ যায় না
+function smtpTransport({ host, port, secure, user, pass }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    requireTLS: !secure && Boolean(user),
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(`📧 [mail] to=${message.to} subject="${message.subject}"`);
+    return { messageId: `console-${crypto.randomUUID()}` };
+  },
+};
+
+const mailTransports = {
+  console: () => consoleTransport,
+  smtp: () =>
+    smtpTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    }),
+};
+
+// Production এ console transport মানে কোনো mail যায় না অথচ সব success দেখায় - তাই startup এই আটকাই
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+if (!mailTransports[MAIL_TRANSPORT]) throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+if (MAIL_TRANSPORT === "console" && process.env.NODE_ENV === "production") {
+  throw new Error("MAIL_TRANSPORT must be set to a real transport (smtp) in production");
+}
+
+let mailTransport;
+function getMailTransport() {
+  if (!mailTransport) mailTransport = mailTransports[MAIL_TRANSPORT]();
+  return mailTransport;
+}
+
+async function sendMail(message) {
+  return getMailTransport().send({ from: MAIL_FROM, ...message });
+}
+
+// ✅ Newsletter - double opt-in, signed unsubscribe links, digest queue with retry
+// Random fallback শুধু dev এ - restart হলে আগের সব unsubscribe link ভেঙে যায়
+if (!process.env.NEWSLETTER_SECRET && process.env.NODE_ENV === "production") {
+  throw new Error("NEWSLETTER_SECRET is required in production");
+}
+const NEWSLETTER_SECRET = process.env.NEWSLETTER_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.NEWSLETTER_SECRET) {
+  console.warn("⚠️ NEWSLETTER_SECRET not set, unsubscribe links will break after restart");
+}
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+const CONFIRMATION_COOLDOWN_MS = 10 * 60 * 1000;
+const SUBSCRIBE_IP_LIMIT = 5;
+const SUBSCRIBE_IP_WINDOW_MS = 60 * 60 * 1000;
+const NEWSLETTER_WORKER_INTERVAL_MS = parseInt(process.env.NEWSLETTER_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+const NEWSLETTER_BATCH_SIZE = 50;
+const MAX_DELIVERY_ATTEMPTS = 5;
+const DELIVERY_LOCK_MS = 10 * 60 * 1000;
+const DIGEST_MAX_BLOGS = 10;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function unsubscribeSignature(subscriberId) {
+  return crypto.createHmac("sha256", NEWSLETTER_SECRET).update(`unsubscribe:${subscriberId}`).digest("hex");
+}
+
+function verifyUnsubscribeSignature(subscriberId, signature) {
+  const expected = Buffer.from(unsubscribeSignature(subscriberId));
+  const given = Buffer.from(String(signature || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function unsubscribeUrl(subscriberId) {
+  const id = subscriberId.toString();
+  return `${PUBLIC_API_URL}/subscribers/unsubscribe?id=${id}&sig=${unsubscribeSignature(id)}`;
+}
+
+function blogExcerpt(blog, length = 200) {
+  const plain = String(blog.description || blog.excerpt || blog.content || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+  return plain.length > length ? `${plain.slice(0, length)}…` : plain;
+}
+
+function renderConfirmationEmail({ confirmUrl }) {
+  return {
+    subject: "Confirm your subscription",
+    text: `Please confirm your newsletter subscription:\n${confirmUrl}\n\nIf you didn't subscribe, just ignore this email.`,
+    html: `<p>Please confirm your newsletter subscription:</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm subscription</a></p>
+<p style="color:#888">If you didn't subscribe, just ignore this email.</p>`,
+  };
+}
+
+function renderDigestEmail({ newsletter, blogs, unsubscribeLink }) {
+  const items = blogs.map((blog) => ({
+    title: blog.title || "Untitled",
+    url: `${FRONTEND_URL}/blogs/${blog._id}`,
+    excerpt: blogExcerpt(blog),
+  }));
+
+  const text = [
+    newsletter.intro || "",
+    ...items.map((item) => `${item.title}\n${item.excerpt}\n${item.url}`),
+    `Unsubscribe: ${unsubscribeLink}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const html = `<div style="font-family:sans-serif;max-width:600px;margin:auto">
+${newsletter.intro ? `<p>${escapeHtml(newsletter.intro)}</p>` : ""}
+${items
+  .map(
+    (item) => `<div style="margin:24px 0">
+  <h2 style="margin:0 0 8px"><a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a></h2>
+  <p style="margin:0;color:#444">${escapeHtml(item.excerpt)}</p>
+</div>`
+  )
+  .join("\n")}
+<p style="color:#888;font-size:12px"><a href="${escapeHtml(unsubscribeLink)}">Unsubscribe</a></p>
+</div>`;
+
+  return { subject: newsletter.subject, text, html };
+}
+
+// Newsletter এর blogs: blogIds দেওয়া থাকলে সেগুলো, না হলে `since` এর পরে published গুলো
+async function digestBlogs(newsletter) {
+  const { blogsCollection } = await getCollections();
+  const filter = { ...PUBLISHED_BLOG };
+  if (newsletter.blogIds?.length) filter._id = { $in: newsletter.blogIds };
+  else filter.publishedAt = { $gte: newsletter.since || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) };
+
+  return blogsCollection
+    .find(filter, { projection: { title: 1, description: 1, content: 1, publishedAt: 1 } })
+    .sort({ publishedAt: -1 })
+    .limit(DIGEST_MAX_BLOGS)
+    .toArray();
+}
+
+async function sendConfirmationEmail(subscriber, token) {
+  const confirmUrl = `${PUBLIC_API_URL}/subscribers/confirm?token=${token}`;
+  await sendMail({ to: subscriber.email, ...renderConfirmationEmail({ confirmUrl }) });
+}
+
+// Due scheduled newsletter গুলোর জন্য প্রতি active subscriber এর delivery queue করে
+async function dispatchDueNewsletters() {
+  const { newslettersCollection, subscribersCollection, deliveriesCollection } = await getCollections();
+  const now = new Date();
+  // Claim এর পরে deliveries queue হওয়ার আগে crash হলে recipientCount থাকে না - lock পুরনো হলে আবার queue করি
+  const due = await newslettersCollection
+    .find({
+      $or: [
+        { status: "scheduled", sendAt: { $lte: now } },
+        { status: "sending", recipientCount: { $exists: false }, startedAt: { $lt: new Date(now.getTime() - DELIVERY_LOCK_MS) } },
+      ],
+    })
+    .toArray();
+
+  for (const newsletter of due) {
+    const claimed = await newslettersCollection.updateOne(
+      { _id: newsletter._id, status: newsletter.status, startedAt: newsletter.startedAt ?? null },
+      { $set: { status: "sending", startedAt: new Date() } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    // Queue করার মুহূর্তের blogs freeze করে রাখি, যাতে সব recipient একই digest পায়
+    const blogs = await digestBlogs(newsletter);
+    await newslettersCollection.updateOne({ _id: newsletter._id }, { $set: { blogIds: blogs.map((b) => b._id) } });
+
+    const subscribers = await subscribersCollection.find({ status: "active", ...NOT_DELETED }, { projection: { email: 1 } }).toArray();
+    if (subscribers.length > 0) {
+      const now = new Date();
+      await deliveriesCollection
+        .insertMany(
+          subscribers.map((sub) => ({
+            newsletterId: newsletter._id,
+            subscriberId: sub._id,
+            email: sub.email,
+            status: "queued",
+            attempts: 0,
+            nextAttemptAt: now,
+            createdAt: now,
+          })),
+          { ordered: false }
+        )
+        .catch((err) => {
+          if (err.code !== 11000) throw err;
+        });
+    }
+    await newslettersCollection.updateOne({ _id: newsletter._id }, { $set: { recipientCount: subscribers.length } });
+    console.log(`📨 Newsletter "${newsletter.subject}" queued for ${subscribers.length} subscribers`);
+  }
+}
+
+// Unsubscribe / delete হলে চলমান newsletter এর বাকি deliveries আর যায় না
+async function cancelQueuedDeliveries(filter) {
+  const { deliveriesCollection } = await getCollections();
+  await deliveriesCollection.updateMany(
+    { ...filter, status: "queued" },
+    { $set: { status: "skipped", skippedAt: new Date() }, $unset: { lockedAt: "" } }
+  );
+}
+
+async function processDelivery(delivery, newsletterCache) {
+  const { newslettersCollection, blogsCollection, deliveriesCollection, subscribersCollection } = await getCollections();
+
+  // Queue হওয়ার পরে unsubscribe / trash / erase হলে পাঠাই না
+  const subscriber = await subscribersCollection.findOne(
+    { _id: delivery.subscriberId, status: "active", ...NOT_DELETED },
+    { projection: { _id: 1 } }
+  );
+  if (!subscriber) {
+    await deliveriesCollection.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "skipped", skippedAt: new Date() }, $unset: { lockedAt: "" } }
+    );
+    return;
+  }
+
+  const key = delivery.newsletterId.toString();
+  if (!newsletterCache.has(key)) {
+    const newsletter = await newslettersCollection.findOne({ _id: delivery.newsletterId });
+    const blogs = newsletter
+      ? await blogsCollection.find({ _id: { $in: newsletter.blogIds || [] }, ...NOT_DELETED }).sort({ publishedAt: -1 }).toArray()
+      : [];
+    newsletterCache.set(key, { newsletter, blogs });
+  }
+  const { newsletter, blogs } = newsletterCache.get(key);
+
+  try {
+    if (!newsletter) throw new Error("Newsletter no longer exists");
+    const link = unsubscribeUrl(delivery.subscriberId);
+    const { messageId } = await sendMail({
+      to: delivery.email,
+      ...renderDigestEmail({ newsletter, blogs, unsubscribeLink: link }),
+      headers: { "List-Unsubscribe": `<${link}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    });
+    await deliveriesCollection.updateOne(
+      { _id: delivery._id },
+      { $set: { status: "sent", sentAt: new Date(), messageId }, $unset: { lockedAt: "" } }
+    );
+  } catch (err) {
+    // Exponential backoff: 2, 4, 8, 16 মিনিট; তারপর failed
+    const attempts = delivery.attempts + 1;
+    const failed = attempts >= MAX_DELIVERY_ATTEMPTS;
+    await deliveriesCollection.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: failed ? "failed" : "queued",
+          attempts,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + 2 ** attempts * 60 * 1000),
+        },
+        $unset: { lockedAt: "" },
+      }
+    );
+    console.error(`❌ Newsletter delivery to ${delivery.email} failed (attempt ${attempts}):`, err.message);
+  }
+}
+
+async function processDeliveryQueue() {
+  const { deliveriesCollection } = await getCollections();
+  const newsletterCache = new Map();
+
+  for (let i = 0; i < NEWSLETTER_BATCH_SIZE; i++) {
+    const now = new Date();
+    // Atomic claim; crash এ আটকে থাকা "sending" গুলো lock পুরনো হলে আবার নেওয়া হয়
+    const delivery = await deliveriesCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", nextAttemptAt: { $lte: now } },
+          { status: "sending", lockedAt: { $lt: new Date(now.getTime() - DELIVERY_LOCK_MS) } },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: now } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!delivery) break;
+    await processDelivery(delivery, newsletterCache);
+  }
+}
+
+// যে newsletter এর আর কোনো queued/sending delivery নেই সেটা sent
+async function completeFinishedNewsletters() {
+  const { newslettersCollection, deliveriesCollection } = await getCollections();
+  // recipientCount না থাকা মানে deliveries এখনো queue হয়নি
+  const sending = await newslettersCollection
+    .find({ status: "sending", recipientCount: { $exists: true } }, { projection: { _id: 1 } })
+    .toArray();
+  for (const newsletter of sending) {
+    const remaining = await deliveriesCollection.countDocuments({
+      newsletterId: newsletter._id,
+      status: { $in: ["queued", "sending"] },
+    });
+    if (remaining === 0) {
+      await newslettersCollection.updateOne({ _id: newsletter._id }, { $set: { status: "sent", sentAt: new Date() } });
+    }
+  }
+}
+
+let newsletterWorkerRunning = false;
+async function runNewsletterWorker() {
+  if (newsletterWorkerRunning) return;
+  newsletterWorkerRunning = true;
+  try {
+    await dispatchDueNewsletters();
+    await processDeliveryQueue();
+    await completeFinishedNewsletters();
+  } catch (err) {
+    console.error("❌ Newsletter worker error:", err);
+  } finally {
+    newsletterWorkerRunning = false;
+  }
+}
+
+function startNewsletterWorker() {
+  setInterval(runNewsletterWorker, NEWSLETTER_WORKER_INTERVAL_MS);
+  console.log(`📨 Newsletter worker running every ${NEWSLETTER_WORKER_INTERVAL_MS / 1000}s`);
+}
+
+// IP প্রতি subscribe request গোনা, যাতে কেউ অন্যের inbox এ confirmation mail ভরিয়ে দিতে না পারে
+const subscribeAttempts = new Map();
+
+function subscribeThrottled(ip) {
+  const now = Date.now();
+  for (const [key, entry] of subscribeAttempts) {
+    if (entry.resetAt <= now) subscribeAttempts.delete(key);
+  }
+  const entry = subscribeAttempts.get(ip) || { count: 0, resetAt: now + SUBSCRIBE_IP_WINDOW_MS };
+  entry.count += 1;
+  subscribeAttempts.set(ip, entry);
+  return entry.count > SUBSCRIBE_IP_LIMIT;
+}
+
+// ✅ SUBSCRIBERS ROUTE FIX - এটা সবচেয়ে সম্ভাব্য problematic route
+app.post("/subscribers", validateRequest({ body: { email: { type: "email", required: true } } }), async (req, res) => {
+  try {
+    console.log("📥 Subscriber request body:", req.body);
+    
+    // Check if body exists
+    if (!req.body || Object.keys(req.body).length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Request body is required" 
+      });
+    }
+
+    const { email } = req.body;
+    
+    // Validate email
+    if (!email || email === 'null' || email === 'undefined') {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Valid email address is required" 
+      });
+    }
+
+    if (subscribeThrottled(req.ip)) {
+      return res.status(429).json({ success: false, message: "Too many subscription requests, please try again later" });
+    }
+
+    const { subscribersCollection } = await getCollections();
+
+    // Check if already subscribed
+    const existing = await subscribersCollection.findOne({ email });
+    if (existing?.status === "active" && !existing.deletedAt) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Email already subscribed" 
+      });
+    }
+
+    // একই address এ বারবার confirmation পাঠাই না
+    if (existing?.confirmationSentAt > new Date(Date.now() - CONFIRMATION_COOLDOWN_MS)) {
+      return res.status(429).json({
+        success: false,
+        message: "A confirmation email was sent recently, please check your inbox",
+      });
+    }
+
+    // Double opt-in: confirm না করা পর্যন্ত pending, কোনো newsletter যাবে না
+    const token = crypto.randomBytes(32).toString("hex");
+    const pendingFields = {
+      status: "pending",
+      confirmTokenHash: hashToken(token),
+      confirmTokenExpires: new Date(Date.now() + CONFIRM_TOKEN_TTL_MS),
+      confirmationSentAt: new Date(),
+    };
+
+    let subscriber;
+    if (existing) {
+      // Pending, unsubscribed বা trash এ থাকলে নতুন token দিয়ে আবার confirmation পাঠাই
+      await subscribersCollection.updateOne({ _id: existing._id }, { $set: pendingFields, $unset: { deletedAt: "", deletedBy: "" } });
+      subscriber = existing;
+    } else {
+      const result = await subscribersCollection.insertOne({ 
+        email, 
+        ...pendingFields,
+        createdAt: new Date() 
+      });
+      subscriber = { _id: result.insertedId, email };
+    }
+
+    await sendConfirmationEmail(subscriber, token);
+    
+    res.status(201).json({ 
+      success: true, 
+      message: "Almost done! Please check your inbox to confirm your subscription" 
+    });
+    
+  } catch (err) {
+    console.error("❌ Subscriber error:", err);
+    res.status(500).json({ 
+      success: false, 
+      message: "Subscription failed" 
+    });
+  }
+});
+
+
+app.get("/subscribers", requireRole("admin"), async (req, res) => {
+  try {
+    const { subscribersCollection } = await getCollections();
+
+    const subscribers = await subscribersCollection
+      .find(NOT_DELETED, { projection: { confirmTokenHash: 0, confirmTokenExpires: 0 } })
+      .toArray();
+    res.json({ success: true, subscribers }); // ✅ important change
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to fetch subscribers" });
+  }
+});
+// DELETE subscriber
+app.delete("/subscribers/:id", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { subscribersCollection } = await getCollections();
+
+    const subscriber = await softDelete(subscribersCollection, { _id: new ObjectId(req.params.id) }, req.user);
+    if (subscriber) {
+      await cancelQueuedDeliveries({ subscriberId: subscriber._id });
+      res.json({ success: true, message: "Subscriber moved to trash" });
+    } else {
+      res.status(404).json({ success: false, message: "Subscriber not found" });
+    }
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to delete subscriber" });
+  }
+});
+
+
+// Double opt-in: token সহ confirmation email, click করলে active
+app.get("/subscribers/confirm", validateRequest({ query: { token: { type: "string", required: true, maxLength: 200 } } }), async (req, res) => {
+  try {
+    const { subscribersCollection } = await getCollections();
+    const result = await subscribersCollection.updateOne(
+      { confirmTokenHash: hashToken(req.query.token), confirmTokenExpires: { $gt: new Date() } },
+      { $set: { status: "active", confirmedAt: new Date() }, $unset: { confirmTokenHash: "", confirmTokenExpires: "" } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(400).send("This confirmation link is invalid or has expired.");
+    }
+    res.send("✅ Your subscription is confirmed. Thanks for subscribing!");
+  } catch (err) {
+    console.error("GET /subscribers/confirm error:", err);
+    res.status(500).send("Something went wrong, please try again later.");
+  }
+});
+
+// Signed unsubscribe link (GET = browser click, POST = List-Unsubscribe one-click)
+const unsubscribeSchema = {
+  query: {
+    id: { type: "objectId", required: true },
+    sig: { type: "string", required: true, maxLength: 128 },
+  },
+};
+
+async function handleUnsubscribe(req, res) {
+  try {
+    const { id, sig } = req.query;
+    if (!verifyUnsubscribeSignature(id, sig)) {
+      return res.status(400).send("This unsubscribe link is invalid.");
+    }
+
+    const { subscribersCollection } = await getCollections();
+    await subscribersCollection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { status: "unsubscribed", unsubscribedAt: new Date() } }
+    );
+    await cancelQueuedDeliveries({ subscriberId: new ObjectId(id) });
+    res.send("You have been unsubscribed. Sorry to see you go!");
+  } catch (err) {
+    console.error("Unsubscribe error:", err);
+    res.status(500).send("Something went wrong, please try again later.");
+  }
+}
+
+app.get("/subscribers/unsubscribe", validateRequest(unsubscribeSchema), handleUnsubscribe);
+app.post("/subscribers/unsubscribe", validateRequest(unsubscribeSchema), handleUnsubscribe);
+
+// ✅ Newsletter admin endpoints - compose, preview, schedule, stats
+const newsletterFields = {
+  subject: { type: "string", maxLength: 200 },
+  intro: { type: "string", maxLength: 5000 },
+  since: { type: "date" },
+  blogIds: { type: "array", maxItems: DIGEST_MAX_BLOGS, items: { type: "objectId" } },
+};
+
+function toNewsletterDoc(body) {
+  const doc = { ...body };
+  if (doc.blogIds) doc.blogIds = doc.blogIds.map((id) => new ObjectId(id));
+  return doc;
+}
+
+async function findNewsletter(req, res) {
+  const { newslettersCollection } = await getCollections();
+  const newsletter = await newslettersCollection.findOne({ _id: new ObjectId(req.params.id) });
+  if (!newsletter) res.status(404).json({ success: false, message: "Newsletter not found" });
+  return newsletter;
+}
+
+const createNewsletterSchema = {
+  body: { ...newsletterFields, subject: { ...newsletterFields.subject, required: true } },
+};
+
+app.post("/newsletters", requireRole("admin"), validateRequest(createNewsletterSchema), async (req, res) => {
+  try {
+    const { newslettersCollection } = await getCollections();
+    const newsletter = {
+      ...toNewsletterDoc(req.body),
+      status: "draft",
+      createdBy: { uid: req.user.uid, email: req.user.email },
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    const result = await newslettersCollection.insertOne(newsletter);
+    res.status(201).json({ success: true, newsletter: { _id: result.insertedId, ...newsletter } });
+  } catch (err) {
+    console.error("POST /newsletters error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/newsletters", requireRole("admin"), validateRequest({ query: paginationQuery }), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const { newslettersCollection } = await getCollections();
+    res.json(await paginateFind(newslettersCollection, {}, pagination));
+  } catch (err) {
+    console.error("GET /newsletters error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.patch("/newsletters/:id", requireRole("admin"), validateRequest({ params: idParams, body: newsletterFields }), async (req, res) => {
+  try {
+    const { newslettersCollection } = await getCollections();
+    const result = await newslettersCollection.updateOne(
+      { _id: new ObjectId(req.params.id), status: "draft" },
+      { $set: { ...toNewsletterDoc(req.body), updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: "Only draft newsletters can be edited" });
+    }
+    res.json({ success: true, message: "Newsletter updated" });
+  } catch (err) {
+    console.error("PATCH /newsletters/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// GET /newsletters/:id/preview?format=html - admin এর নিজের email দিয়ে render
+const previewSchema = { params: idParams, query: { format: { type: "string", enum: ["html", "json"] } } };
+
+app.get("/newsletters/:id/preview", requireRole("admin"), validateRequest(previewSchema), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req, res);
+    if (!newsletter) return;
+
+    const blogs = await digestBlogs(newsletter);
+    const email = renderDigestEmail({ newsletter, blogs, unsubscribeLink: `${PUBLIC_API_URL}/subscribers/unsubscribe` });
+    if (req.query.format === "html") return res.type("html").send(email.html);
+
+    res.json({ success: true, preview: { ...email, to: req.user.email, blogCount: blogs.length } });
+  } catch (err) {
+    console.error("GET /newsletters/:id/preview error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// sendAt না দিলে এখনই (পরের worker tick এ) পাঠানো শুরু
+const scheduleNewsletterSchema = { params: idParams, body: { sendAt: { type: "date" } } };
+
+app.post("/newsletters/:id/schedule", requireRole("admin"), validateRequest(scheduleNewsletterSchema), async (req, res) => {
+  try {
+    const sendAt = req.body.sendAt || new Date();
+    const { newslettersCollection } = await getCollections();
+    const result = await newslettersCollection.updateOne(
+      { _id: new ObjectId(req.params.id), status: { $in: ["draft", "scheduled"] } },
+      { $set: { status: "scheduled", sendAt, scheduledBy: { uid: req.user.uid, email: req.user.email } } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: "Newsletter not found or already sent" });
+    }
+
+    await logActivity({ user: req.user, type: "NEWSLETTER", message: `${req.user.email} scheduled a newsletter for ${sendAt.toISOString()}` });
+    res.json({ success: true, message: "Newsletter scheduled", sendAt });
+  } catch (err) {
+    console.error("POST /newsletters/:id/schedule error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/newsletters/:id/cancel", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { newslettersCollection } = await getCollections();
+    const result = await newslettersCollection.updateOne(
+      { _id: new ObjectId(req.params.id), status: "scheduled" },
+      { $set: { status: "draft" }, $unset: { sendAt: "" } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: "Only scheduled newsletters can be cancelled" });
+    }
+    res.json({ success: true, message: "Newsletter moved back to draft" });
+  } catch (err) {
+    console.error("POST /newsletters/:id/cancel error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Delivery status অনুযায়ী count + সাম্প্রতিক failures
+app.get("/newsletters/:id/stats", requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const newsletter = await findNewsletter(req, res);
+    if (!newsletter) return;
+
+    const { deliveriesCollection } = await getCollections();
+    const [byStatus, failures] = await Promise.all([
+      deliveriesCollection
+        .aggregate([{ $match: { newsletterId: newsletter._id } }, { $group: { _id: "$status", count: { $sum: 1 } } }])
+        .toArray(),
+      deliveriesCollection
+        .find({ newsletterId: newsletter._id, status: "failed" }, { projection: { email: 1, attempts: 1, lastError: 1 } })
+        .limit(50)
+        .toArray(),
+    ]);
+
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0, skipped: 0 };
+    byStatus.forEach((row) => {
+      counts[row._id] = row.count;
+    });
+
+    res.json({
+      success: true,
+      status: newsletter.status,
+      recipients: newsletter.recipientCount || 0,
+      counts,
+      failures,
+      sentAt: newsletter.sentAt || null,
+    });
+  } catch (err) {
+    console.error("GET /newsletters/:id/stats error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Syndication feeds - RSS 2.0, Atom, JSON Feed (সব, author অনুযায়ী, tag অনুযায়ী)
+const SITE_TITLE = process.env.SITE_TITLE || "Web Blog";
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || "Latest posts";
+const FEED_ITEM_LIMIT = 20;
+
+function blogModifiedAt(blog) {
+  return new Date(blog.updatedAt || blog.publishedAt || blog.createdAt || 0);
+}
+
+// CDATA এর ভিতরে "]]>" থাকলে ভেঙে দিতে হয়
+function cdata(str) {
+  return `<![CDATA[${String(str || "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function renderRss(feed) {
+  const items = feed.blogs.map((blog) => `    <item>
+      <title>${escapeHtml(blog.title || "Untitled")}</title>
+      <link>${escapeHtml(blogUrl(blog))}</link>
+      <guid isPermaLink="false">${blog._id}</guid>
+      <pubDate>${new Date(blog.publishedAt || blog.createdAt).toUTCString()}</pubDate>
+${blog.author?.email ? `      <author>${escapeHtml(`${blog.author.email} (${blog.author.name || blog.author.email})`)}</author>\n` : ""}${(blog.tags || []).map((tag) => `      <category>${escapeHtml(tag)}</category>\n`).join("")}      <description>${escapeHtml(blogExcerpt(blog, 500))}</description>
+      <content:encoded>${cdata(blog.contentHtml ?? blog.content)}</content:encoded>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+  const entries = feed.blogs.map((blog) => `  <entry>
+    <title>${escapeHtml(blog.title || "Untitled")}</title>
+    <link href="${escapeHtml(blogUrl(blog))}"/>
+    <id>${escapeHtml(blogUrl(blog))}</id>
+    <published>${new Date(blog.publishedAt || blog.createdAt).toISOString()}</published>
+    <updated>${blogModifiedAt(blog).toISOString()}</updated>
+    <author><name>${escapeHtml(blog.author?.name || blog.author?.email || "Unknown")}</name></author>
+${(blog.tags || []).map((tag) => `    <category term="${escapeHtml(tag)}"/>\n`).join("")}    <summary>${escapeHtml(blogExcerpt(blog, 500))}</summary>
+    <content type="html">${escapeHtml(blog.contentHtml ?? blog.content ?? "")}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <link href="${escapeHtml(feed.homeUrl)}"/>
+  <link href="${escapeHtml(feed.selfUrl)}" rel="self"/>
+  <id>${escapeHtml(feed.selfUrl)}</id>
+  <updated>${feed.updatedAt.toISOString()}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    items: feed.blogs.map((blog) => ({
+      id: String(blog._id),
+      url: blogUrl(blog),
+      title: blog.title || "Untitled",
+      content_html: blog.contentHtml ?? blog.content ?? "",
+      summary: blogExcerpt(blog, 500),
+      image: blog.coverImage || blog.image || undefined,
+      date_published: new Date(blog.publishedAt || blog.createdAt).toISOString(),
+      date_modified: blogModifiedAt(blog).toISOString(),
+      authors: [{ name: blog.author?.name || blog.author?.email || "Unknown" }],
+      tags: blog.tags || [],
+    })),
+  });
+}
+
+const FEED_FORMATS = {
+  "feed.xml": { contentType: "application/rss+xml; charset=utf-8", render: renderRss },
+  "atom.xml": { contentType: "application/atom+xml; charset=utf-8", render: renderAtom },
+  "feed.json": { contentType: "application/feed+json; charset=utf-8", render: renderJsonFeed },
+};
+
+// প্রতিটা scope এর জন্য path prefix, query filter আর feed title
+const FEED_SCOPES = [
+  { prefix: "", params: {}, scope: () => ({ filter: {}, title: SITE_TITLE }) },
+  {
+    prefix: "/authors/:email",
+    params: { email: { type: "email", required: true } },
+    scope: ({ email }) => ({ filter: { "author.email": email }, title: `${SITE_TITLE} - ${email}` }),
+  },
+  {
+    prefix: "/tags/:tag",
+    params: { tag: { type: "string", required: true, maxLength: 50 } },
+    scope: ({ tag }) => {
+      const normalized = normalizeTag(tag);
+      if (!normalized) return { error: "Invalid tag" };
+      return { filter: { tags: normalized }, title: `${SITE_TITLE} - #${normalized}` };
+    },
+  },
+];
+
+for (const { prefix, params, scope } of FEED_SCOPES) {
+  for (const [file, format] of Object.entries(FEED_FORMATS)) {
+    app.get(`${prefix}/${file}`, validateRequest({ params }), async (req, res) => {
+      try {
+        const { filter, title, error } = scope(req.params);
+        if (error) return res.status(400).json({ success: false, message: error });
+        const { blogsCollection } = await getCollections();
+        const blogs = await blogsCollection
+          .find({ ...filter, ...PUBLISHED_BLOG })
+          .sort({ publishedAt: -1, createdAt: -1 })
+          .limit(FEED_ITEM_LIMIT)
+          .toArray();
+
+        // Feed reader রা ETag / If-Modified-Since দিয়ে poll করে; কিছু না বদলালে body না পাঠিয়ে 304
+        const updatedAt = new Date(Math.max(0, ...blogs.map((blog) => blogModifiedAt(blog).getTime())));
+        const fingerprint = blogs.map((blog) => `${blog._id}:${blogModifiedAt(blog).getTime()}`).join(",");
+        const etag = `W/"${crypto.createHash("sha1").update(`${req.path}|${fingerprint}`).digest("base64url")}"`;
+        res.set({
+          ETag: etag,
+          "Last-Modified": updatedAt.toUTCString(),
+          "Cache-Control": "public, max-age=300",
+          "Content-Type": format.contentType,
+        });
+        if (req.fresh) return res.status(304).end();
+
+        res.send(format.render({
+          title,
+          description: SITE_DESCRIPTION,
+          homeUrl: FRONTEND_URL,
+          selfUrl: `${PUBLIC_API_URL}${req.path}`,
+          updatedAt,
+          blogs,
+        }));
+      } catch (err) {
+        console.error(`GET ${req.path} error:`, err);
+        res.status(500).json({ success: false, message: "Failed to build feed" });
+      }
+    });
+  }
+}
+
+// ✅ sitemap.xml - published blogs + author pages (sitemap এ সর্বোচ্চ 50,000 URL চলে)
+const SITEMAP_MAX_URLS = 50000;
+
+app.get("/sitemap.xml", async (req, res) => {
+  try {
+    const { blogsCollection } = await getCollections();
+    const [blogs, authors] = await Promise.all([
+      blogsCollection
+        .find(PUBLISHED_BLOG, { projection: { slug: 1, updatedAt: 1, publishedAt: 1, createdAt: 1 } })
+        .sort({ publishedAt: -1 })
+        .limit(SITEMAP_MAX_URLS - 1)
+        .toArray(),
+      blogsCollection
+        .aggregate([
+          { $match: { ...PUBLISHED_BLOG, "author.email": { $type: "string" } } },
+          { $group: { _id: "$author.email", lastmod: { $max: { $ifNull: ["$updatedAt", "$publishedAt"] } } } },
+          { $sort: { lastmod: -1 } },
+        ])
+        .toArray(),
+    ]);
+
+    const urls = [
+      // Home page এর lastmod = সবচেয়ে সাম্প্রতিক edit, শুধু সর্বশেষ publish না
+      { loc: FRONTEND_URL, lastmod: blogs.reduce((latest, blog) => (latest && latest >= blogModifiedAt(blog) ? latest : blogModifiedAt(blog)), null) },
+      ...blogs.map((blog) => ({ loc: blogUrl(blog), lastmod: blogModifiedAt(blog) })),
+      ...authors.map((author) => ({ loc: `${FRONTEND_URL}/authors/${encodeURIComponent(author._id)}`, lastmod: author.lastmod })),
+    ].slice(0, SITEMAP_MAX_URLS);
+
+    const body = urls
+      .map(({ loc, lastmod }) =>
+        `  <url>\n    <loc>${escapeHtml(loc)}</loc>\n${lastmod ? `    <lastmod>${new Date(lastmod).toISOString()}</lastmod>\n` : ""}  </url>`
+      )
+      .join("\n");
+
+    res.set({ "Content-Type": "application/xml; charset=utf-8", "Cache-Control": "public, max-age=3600" });
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${body}
+</urlset>
+`);
+  } catch (err) {
+    console.error("GET /sitemap.xml error:", err);
+    res.status(500).json({ success: false, message: "Failed to build sitemap" });
+  }
+});
+
+// ✅ Support tickets - নিজস্ব collection, conversation thread, assignment, SLA
+const TICKET_PRIORITIES = ["low", "medium", "high", "urgent"];
+const TICKET_STATUSES = ["open", "in-progress", "waiting-on-customer", "resolved", "closed"];
+const TICKET_TRANSITIONS = {
+  "open": ["in-progress", "waiting-on-customer", "resolved", "closed"],
+  "in-progress": ["waiting-on-customer", "resolved", "closed"],
+  "waiting-on-customer": ["in-progress", "resolved", "closed"],
+  "resolved": ["open", "closed"],
+  "closed": ["open"],
+};
+const HOUR_MS = 60 * 60 * 1000;
+// Priority অনুযায়ী first response আর resolution এর deadline
+const TICKET_SLA = {
+  urgent: { firstResponse: 1 * HOUR_MS, resolution: 4 * HOUR_MS },
+  high: { firstResponse: 4 * HOUR_MS, resolution: 24 * HOUR_MS },
+  medium: { firstResponse: 8 * HOUR_MS, resolution: 72 * HOUR_MS },
+  low: { firstResponse: 24 * HOUR_MS, resolution: 7 * 24 * HOUR_MS },
+};
+
+// Counter collection থেকে atomic sequential number
+async function nextSequence(name) {
+  const { countersCollection } = await getCollections();
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" }
+  );
+  return counter.seq;
+}
+
+function ticketSla(priority, createdAt) {
+  const sla = TICKET_SLA[priority] || TICKET_SLA.medium;
+  return {
+    firstResponseDueAt: new Date(createdAt.getTime() + sla.firstResponse),
+    resolutionDueAt: new Date(createdAt.getTime() + sla.resolution),
+  };
+}
+
+function isTicketDone(ticket) {
+  return ticket.status === "resolved" || ticket.status === "closed";
+}
+
+// Response এ overdue flag সহ ticket
+function formatTicket(ticket) {
+  const now = new Date();
+  const sla = ticket.sla || ticketSla(ticket.priority, ticket.createdAt || now);
+  return {
+    ...ticket,
+    category: ticket.category || "general",
+    priority: ticket.priority || "medium",
+    status: ticket.status || "open",
+    ticketNumber: ticket.ticketNumber || `TKT-${ticket._id}`,
+    assignee: ticket.assignee || null,
+    sla,
+    overdue: {
+      firstResponse: !ticket.firstResponseAt && !isTicketDone(ticket) && now > sla.firstResponseDueAt,
+      resolution: !isTicketDone(ticket) && now > sla.resolutionDueAt,
+    },
+  };
+}
+
+function ownsTicket(user, ticket) {
+  if (ticket.uid && ticket.uid === user.uid) return true;
+  return Boolean(user.email) && ticket.email === user.email;
+}
+
+// Ticket খুঁজে owner বা admin কিনা check করে
+async function findAccessibleTicket(req, res) {
+  const { ticketsCollection } = await getCollections();
+  const ticket = await ticketsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+  if (!ticket || (!ownsTicket(req.user, ticket) && !hasRole(req.user, "admin"))) {
+    res.status(404).json({ success: false, message: 'Ticket not found' });
+    return null;
+  }
+  return ticket;
+}
+
+async function addTicketMessage(ticket, user, message, authorRole) {
+  const { ticketMessagesCollection } = await getCollections();
+  const doc = {
+    ticketId: ticket._id,
+    author: { uid: user?.uid || null, email: user?.email || ticket.email, name: user?.name || ticket.name },
+    authorRole,
+    message,
+    createdAt: new Date(),
+  };
+  const result = await ticketMessagesCollection.insertOne(doc);
+  return { _id: result.insertedId, ...doc };
+}
+
+// ✅ GET Support Tickets
+const listTicketsSchema = {
+  query: {
+    email: { type: "email" },
+    status: { type: "string", enum: TICKET_STATUSES },
+    priority: { type: "string", enum: TICKET_PRIORITIES },
+    assignee: { type: "string", maxLength: 128 },
+    overdue: { type: "boolean" },
+  },
+};
+
+app.get('/support/tickets', requireRole("user"), validateRequest(listTicketsSchema), async (req, res) => {
+  try {
+    const { email, status, priority, assignee, overdue } = req.validQuery;
+    
+    let query = { ...NOT_DELETED };
+    if (!hasRole(req.user, "admin")) {
+      // Admin ছাড়া সবাই শুধু নিজের tickets দেখবে
+      // Email ছাড়া account (phone / anonymous) এ { email: null } সব email-less tickets মিলিয়ে দিত
+      query.$or = [{ uid: req.user.uid }];
+      if (req.user.email) query.$or.push({ email: req.user.email });
+    } else {
+      // Admin list এ spam (pending/rejected) দেখাই না, ওগুলো moderation queue তে
+      Object.assign(query, VISIBLE_MODERATION);
+      if (email) query.email = email;
+      if (assignee) query["assignee.uid"] = assignee === "me" ? req.user.uid : assignee;
+    }
+    if (status) query.status = status;
+    if (priority) query.priority = priority;
+    if (overdue) {
+      const now = new Date();
+      query.status = { $nin: ["resolved", "closed"] };
+      query.$and = [{
+        $or: [
+          { firstResponseAt: null, "sla.firstResponseDueAt": { $lt: now } },
+          { "sla.resolutionDueAt": { $lt: now } },
+        ],
+      }];
+    }
+
+    const { ticketsCollection } = await getCollections();
+    const tickets = await ticketsCollection.find(query).sort({ createdAt: -1 }).toArray();
+    
+    res.json({ 
+      success: true, 
+      tickets: tickets.map(formatTicket)
+    });
+  } catch (error) {
+    console.error('❌ GET /api/support/tickets error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching tickets',
+      error: error.message 
+    });
+  }
+});
+
+const createTicketSchema = {
+  body: {
+    name: { type: "string", required: true, maxLength: 100 },
+    subject: { type: "string", required: true, maxLength: 200 },
+    category: { type: "string", maxLength: 50 },
+    priority: { type: "string", enum: TICKET_PRIORITIES },
+    message: { type: "string", required: true, maxLength: 5000 },
+  },
+};
+
+// ✅ POST Support Ticket
+app.post('/support/tickets', requireRole("user"), validateRequest(createTicketSchema), async (req, res) => {
+  try {
+    const { name, subject, category, priority, message } = req.body;
+    // Ticket notification এই address এ যায় - body থেকে নিলে অন্যের inbox এ পাঠানো যেত
+    const email = req.user.email || null;
+
+    const submitter = { uid: req.user.uid, email, ip: req.ip };
+    if (await rejectIfBanned(res, submitter)) return;
+    const verdict = await moderateSubmission({ text: `${subject}\n${message}`, submitter, user: req.user });
+
+    const { ticketsCollection } = await getCollections();
+
+    // Create ticket data
+    const now = new Date();
+    const seq = await nextSequence("ticketNumber");
+    const ticketData = {
+      seq,
+      ticketNumber: `TKT-${String(seq).padStart(6, "0")}`,
+      uid: req.user.uid,
+      name,
+      email,
+      subject,
+      category: category || 'general',
+      priority: priority || 'medium',
+      message,
+      status: 'open',
+      assignee: null,
+      sla: ticketSla(priority || 'medium', now),
+      firstResponseAt: null,
+      resolvedAt: null,
+      moderationStatus: verdict.status,
+      spamScore: verdict.score,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await ticketsCollection.insertOne(ticketData);
+    const ticket = { _id: result.insertedId, ...ticketData };
+    await addTicketMessage(ticket, req.user, message, "customer");
+    await enqueueForModeration("ticket", result.insertedId, verdict, submitter, subject);
+    
+    console.log("✅ Support ticket created:", ticketData.ticketNumber);
+
+    res.status(201).json({
+      success: true,
+      message: 'Support ticket created successfully',
+      ticket: formatTicket(ticket)
+    });
+  } catch (error) {
+    console.error('❌ POST /api/support/tickets error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while creating ticket',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ GET single ticket with conversation
+app.get('/support/tickets/:id', requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const ticket = await findAccessibleTicket(req, res);
+    if (!ticket) return;
+
+    const { ticketMessagesCollection } = await getCollections();
+    const messages = await ticketMessagesCollection.find({ ticketId: ticket._id }).sort({ createdAt: 1 }).toArray();
+
+    res.json({ success: true, ticket: formatTicket(ticket), messages });
+  } catch (error) {
+    console.error('❌ GET /api/support/tickets/:id error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while fetching ticket',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ Reply - customer বা staff; reply এর ধরন অনুযায়ী status নিজে থেকে এগোয়
+const ticketReplySchema = {
+  params: idParams,
+  body: { message: { type: "string", required: true, maxLength: 5000 } },
+};
+
+app.post('/support/tickets/:id/replies', requireRole("user"), validateRequest(ticketReplySchema), async (req, res) => {
+  try {
+    const ticket = await findAccessibleTicket(req, res);
+    if (!ticket) return;
+    if (ticket.status === "closed") {
+      return res.status(409).json({ success: false, message: 'Ticket is closed, please open a new one' });
+    }
+
+    const isStaff = hasRole(req.user, "admin") && !ownsTicket(req.user, ticket);
+    const reply = await addTicketMessage(ticket, req.user, req.body.message, isStaff ? "staff" : "customer");
+
+    const now = new Date();
+    const set = { updatedAt: now };
+    if (isStaff) {
+      if (!ticket.firstResponseAt) set.firstResponseAt = now;
+      if (ticket.status === "open") set.status = "in-progress";
+    } else if (ticket.status === "waiting-on-customer") {
+      set.status = "in-progress";
+    } else if (ticket.status === "resolved") {
+      // Customer resolved ticket এ reply দিলে আবার খুলে যায়
+      set.status = "open";
+      set.resolvedAt = null;
+    }
+
+    const { ticketsCollection } = await getCollections();
+    await ticketsCollection.updateOne({ _id: ticket._id }, { $set: set });
+
+    // Staff reply হলে customer কে, customer reply হলে assigned admin কে জানাই
+    const recipient = isStaff ? { uid: ticket.uid, email: ticket.email } : ticket.assignee;
+    await notifySafely({
+      recipient,
+      actor: req.user,
+      type: "TICKET",
+      message: isStaff
+        ? `Support replied to your ticket ${ticket.ticketNumber}`
+        : `${ticket.email} replied on ticket ${ticket.ticketNumber}`,
+      ticketId: ticket._id,
+      link: `/support/tickets/${ticket._id}`,
+    });
+
+    res.status(201).json({ success: true, message: 'Reply added', reply, ticket: formatTicket({ ...ticket, ...set }) });
+  } catch (error) {
+    console.error('❌ POST /api/support/tickets/:id/replies error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while adding reply',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ Assign to an admin (uid: null হলে unassign)
+const assignTicketSchema = {
+  params: idParams,
+  body: { uid: { type: "string", maxLength: 128, nullable: true } },
+};
+
+app.patch('/support/tickets/:id/assign', requireRole("admin"), validateRequest(assignTicketSchema), async (req, res) => {
+  try {
+    const { usersCollection, ticketsCollection } = await getCollections();
+
+    let assignee = null;
+    if (req.body.uid) {
+      const staff = await usersCollection.findOne({ uid: req.body.uid });
+      if (!staff || staff.role !== "admin") {
+        return res.status(400).json({ success: false, message: 'Tickets can only be assigned to admins' });
+      }
+      assignee = { uid: staff.uid, email: staff.email, name: staff.name || staff.displayName || staff.email };
+    }
+
+    const result = await ticketsCollection.updateOne(
+      { _id: new ObjectId(req.params.id), ...NOT_DELETED },
+      { $set: { assignee, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Ticket not found' });
+    }
+    if (assignee) {
+      await notifySafely({
+        recipient: assignee,
+        actor: req.user,
+        type: "TICKET",
+        message: `${req.user.email} assigned you a support ticket`,
+        ticketId: new ObjectId(req.params.id),
+        link: `/support/tickets/${req.params.id}`,
+      });
+    }
+
+    res.json({ success: true, message: assignee ? `Ticket assigned to ${assignee.email}` : 'Ticket unassigned', assignee });
+  } catch (error) {
+    console.error('❌ PATCH /api/support/tickets/:id/assign error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while assigning ticket',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ Priority বদলালে SLA deadline ও নতুন করে হিসাব
+const ticketPrioritySchema = {
+  params: idParams,
+  body: { priority: { type: "string", required: true, enum: TICKET_PRIORITIES } },
+};
+
+app.patch('/support/tickets/:id/priority', requireRole("admin"), validateRequest(ticketPrioritySchema), async (req, res) => {
+  try {
+    const { ticketsCollection } = await getCollections();
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(req.params.id), ...NOT_DELETED });
+    if (!ticket) return res.status(404).json({ success: false, message: 'Ticket not found' });
+
+    const sla = ticketSla(req.body.priority, ticket.createdAt || new Date());
+    await ticketsCollection.updateOne(
+      { _id: ticket._id },
+      { $set: { priority: req.body.priority, sla, updatedAt: new Date() } }
+    );
+
+    res.json({ success: true, message: 'Ticket priority updated', ticket: formatTicket({ ...ticket, priority: req.body.priority, sla }) });
+  } catch (error) {
+    console.error('❌ PATCH /api/support/tickets/:id/priority error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating priority',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ PUT Update Ticket Status - শুধু TICKET_TRANSITIONS এ থাকা পরিবর্তন
+const ticketStatusSchema = {
+  params: idParams,
+  body: { status: { type: "string", required: true, enum: TICKET_STATUSES } },
+};
+
+app.put('/support/tickets/:id', requireRole("admin"), validateRequest(ticketStatusSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const { ticketsCollection } = await getCollections();
+    const ticket = await ticketsCollection.findOne({ _id: new ObjectId(id), ...NOT_DELETED });
+    if (!ticket) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ticket not found' 
+      });
+    }
+
+    const current = ticket.status || "open";
+    const allowed = TICKET_TRANSITIONS[current] || [];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move ticket from ${current} to ${status}`,
+        allowed
+      });
+    }
+
+    const now = new Date();
+    const set = { status, updatedAt: now };
+    if (status === "resolved") set.resolvedAt = now;
+    if (status === "closed") set.closedAt = now;
+    if (status === "open") set.resolvedAt = null;
+
+    // Status condition দিয়ে update, যাতে মাঝে অন্য কেউ বদলালে overwrite না হয়
+    const result = await ticketsCollection.updateOne({ _id: ticket._id, status: ticket.status }, { $set: set });
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: 'Ticket changed meanwhile, please retry' });
+    }
+    await notifySafely({
+      recipient: { uid: ticket.uid, email: ticket.email },
+      actor: req.user,
+      type: "TICKET",
+      message: `Your ticket ${ticket.ticketNumber} is now ${status}`,
+      ticketId: ticket._id,
+      link: `/support/tickets/${ticket._id}`,
+    });
+
+    res.json({
+      success: true,
+      message: 'Ticket status updated successfully'
+    });
+  } catch (error) {
+    console.error('❌ PUT /api/support/tickets/:id error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while updating ticket',
+      error: error.message 
+    });
+  }
+});
+// ✅ DELETE Support Ticket
+app.delete('/support/tickets/:id', requireRole("admin"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { ticketsCollection } = await getCollections();
+
+    const ticket = await softDelete(ticketsCollection, { _id: new ObjectId(id) }, req.user);
+
+    if (!ticket) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Ticket not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ticket moved to trash'
+    });
+  } catch (error) {
+    console.error('❌ DELETE /api/support/tickets/:id error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error while deleting ticket',
+      error: error.message 
+    });
+  }
+});
+
+// ✅ Trash - soft delete হওয়া items admin দেখে, restore করে বা এখনই purge করে
+// Retention পার হলে purge job নিজেই permanently মুছে দেয়
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+// Blog এর সাথে জড়ানো সব data - শুধু permanently মোছার সময়
+async function purgeBlogData(blog) {
+  const {
+    commentsCollection, commentLikesCollection, reactionsCollection, bookmarksCollection, reviewNotesCollection, blogInvitationsCollection,
+    revisionsCollection, notificationsCollection,
+  } = await getCollections();
+  const commentIds = await commentsCollection.distinct("_id", { blogId: blog._id });
+  await commentLikesCollection.deleteMany({ commentId: { $in: commentIds } });
+  await commentsCollection.deleteMany({ blogId: blog._id });
+  await reactionsCollection.deleteMany({ blogId: blog._id });
+  await bookmarksCollection.deleteMany({ blogId: blog._id });
+  await reviewNotesCollection.deleteMany({ blogId: blog._id });
+  await blogInvitationsCollection.deleteMany({ blogId: blog._id });
+  // Revisions এ পুরো content history থাকে, notifications এ title
+  await revisionsCollection.deleteMany({ blogId: blog._id });
+  await notificationsCollection.deleteMany({ blogId: blog._id });
+}
+
+async function purgeTicketData(ticket) {
+  const { ticketMessagesCollection, notificationsCollection } = await getCollections();
+  await ticketMessagesCollection.deleteMany({ ticketId: ticket._id });
+  await notificationsCollection.deleteMany({ ticketId: ticket._id });
+}
+
+function objectIdFilter(id) {
+  return ObjectId.isValid(id) ? { _id: new ObjectId(id) } : null;
+}
+
+// প্রতিটা kind: কোন collection, id কীভাবে খুঁজব, restore/purge এ আর কী করতে হয়
+const TRASH_TARGETS = {
+  blogs: {
+    collection: "blogsCollection",
+    idFilter: objectIdFilter,
+    onRestore: (blog) => syncTagCountsSafely([], blog.tags || []),
+    onPurge: purgeBlogData,
+  },
+  users: {
+    collection: "usersCollection",
+    idFilter: userIdFilter,
+    onRestore: (user) => {
+      invalidateAccountStatus(user.uid);
+      return user.uid && !isPermanentlyBanned(user) ? setFirebaseDisabled(user.uid, false) : null;
+    },
+    onPurge: (user) => eraseUserAccount(user),
+  },
+  contacts: { collection: "contactsCollection", idFilter: objectIdFilter },
+  subscribers: { collection: "subscribersCollection", idFilter: objectIdFilter },
+  tickets: { collection: "ticketsCollection", idFilter: objectIdFilter, onPurge: purgeTicketData },
+};
+
+const TRASHED = { deletedAt: { $ne: null } };
+
+function purgeDate(item) {
+  return new Date(new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+async function purgeTrashedItem(kind, item) {
+  const target = TRASH_TARGETS[kind];
+  const collections = await getCollections();
+  // আগে document, তারপর related data - মাঝপথে fail করলেও item আর trash এ ফিরে আসে না
+  const result = await collections[target.collection].deleteOne({ _id: item._id, ...TRASHED });
+  if (result.deletedCount === 0) return false;
+  if (target.onPurge) await target.onPurge(item);
+  return true;
+}
+
+const trashKindParams = { kind: { type: "string", required: true, enum: Object.keys(TRASH_TARGETS) } };
+const trashItemSchema = {
+  params: { ...trashKindParams, id: { type: "string", required: true, maxLength: 128 } },
+};
+
+// Trash item খুঁজে দেয়, না পেলে response পাঠিয়ে null
+async function findTrashedItem(req, res) {
+  const target = TRASH_TARGETS[req.params.kind];
+  const filter = target.idFilter(req.params.id);
+  if (!filter) {
+    res.status(400).json({ success: false, message: "Invalid id" });
+    return null;
+  }
+  const collections = await getCollections();
+  const item = await collections[target.collection].findOne({ ...filter, ...TRASHED });
+  if (!item) res.status(404).json({ success: false, message: "Item not found in trash" });
+  return item;
+}
+
+// GET /admin/trash - প্রতিটা kind এ কয়টা item trash এ আছে
+app.get("/admin/trash", requireRole("admin"), async (req, res) => {
+  try {
+    const collections = await getCollections();
+    const counts = await Promise.all(
+      Object.entries(TRASH_TARGETS).map(async ([kind, target]) => [kind, await collections[target.collection].countDocuments(TRASHED)])
+    );
+    res.json({ success: true, retentionDays: TRASH_RETENTION_DAYS, counts: Object.fromEntries(counts) });
+  } catch (err) {
+    console.error("GET /admin/trash error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+const trashListSchema = { params: trashKindParams, query: paginationQuery };
+
+// GET /admin/trash/:kind - সবচেয়ে নতুন delete আগে, সাথে কবে purge হবে
+app.get("/admin/trash/:kind", requireRole("admin"), validateRequest(trashListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery, { sortFields: ["deletedAt"], defaultSort: "deletedAt" });
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const collections = await getCollections();
+    const target = TRASH_TARGETS[req.params.kind];
+    const projection = req.params.kind === "subscribers" ? { confirmTokenHash: 0, confirmTokenExpires: 0 } : {};
+    const page = await paginateFind(collections[target.collection], TRASHED, pagination, { projection });
+    res.json({ ...page, data: page.data.map((item) => ({ ...item, purgeAt: purgeDate(item) })) });
+  } catch (err) {
+    console.error("GET /admin/trash/:kind error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/admin/trash/:kind/:id/restore", requireRole("admin"), validateRequest(trashItemSchema), async (req, res) => {
+  try {
+    const item = await findTrashedItem(req, res);
+    if (!item) return;
+
+    const target = TRASH_TARGETS[req.params.kind];
+    const collections = await getCollections();
+    const result = await collections[target.collection].updateOne(
+      { _id: item._id, ...TRASHED },
+      { $unset: { deletedAt: "", deletedBy: "" }, $set: { restoredAt: new Date() } }
+    );
+    if (result.modifiedCount === 0) return res.status(404).json({ success: false, message: "Item not found in trash" });
+    if (target.onRestore) await target.onRestore(item);
+
+    res.json({ success: true, message: "Item restored" });
+  } catch (err) {
+    console.error("POST /admin/trash/:kind/:id/restore error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Retention এর অপেক্ষা না করে এখনই permanently মুছে ফেলা
+app.delete("/admin/trash/:kind/:id", requireRole("admin"), validateRequest(trashItemSchema), async (req, res) => {
+  try {
+    const item = await findTrashedItem(req, res);
+    if (!item) return;
+
+    if (!(await purgeTrashedItem(req.params.kind, item))) {
+      return res.status(404).json({ success: false, message: "Item not found in trash" });
+    }
+    res.json({ success: true, message: "Item permanently deleted" });
+  } catch (err) {
+    console.error("DELETE /admin/trash/:kind/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+let trashPurgeRunning = false;
+async function purgeExpiredTrash() {
+  if (trashPurgeRunning) return;
+  trashPurgeRunning = true;
+  try {
+    const collections = await getCollections();
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const [kind, target] of Object.entries(TRASH_TARGETS)) {
+      const expired = await collections[target.collection].find({ deletedAt: { $ne: null, $lte: cutoff } }).toArray();
+      let purged = 0;
+      for (const item of expired) {
+        if (await purgeTrashedItem(kind, item)) purged++;
+      }
+      if (purged) console.log(`🗑️ Purged ${purged} ${kind} from trash`);
+    }
+  } catch (err) {
+    console.error("❌ Trash purge error:", err);
+  } finally {
+    trashPurgeRunning = false;
+  }
+}
+
+function startTrashPurger() {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+  console.log(`🗑️ Trash purge running every ${TRASH_PURGE_INTERVAL_MS / 1000}s (retention ${TRASH_RETENTION_DAYS} days)`);
+}
+
+// ✅ Notifications - in-app list + Server-Sent Events দিয়ে live push
+const NOTIFICATION_TYPES = ["COMMENT", "REPLY", "REACTION", "STATUS", "RESTORE", "TICKET", "FOLLOW", "INVITE", "REVIEW", "EXPORT"];
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// খোলা SSE connection গুলো (এই process এর ভিতরে); প্রতিটা { user, res }
+const notificationClients = new Set();
+
+function notificationRecipientFilter(user) {
+  const or = [{ "recipient.uid": user.uid }];
+  if (user.email) or.push({ "recipient.email": user.email });
+  return { $or: or };
+}
+
+function isNotificationFor(user, notification) {
+  const { uid, email } = notification.recipient;
+  return (uid && uid === user.uid) || (email && email === user.email);
+}
+
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Notification save করে recipient এর খোলা stream এ push; নিজের কাজের notification নিজেকে যায় না
+async function notify({ recipient, actor, type, message, blogId = null, ticketId = null, link = null }) {
+  if (!recipient?.uid && !recipient?.email) return null;
+  if (actor && ((recipient.uid && recipient.uid === actor.uid) || (recipient.email && recipient.email === actor.email))) {
+    return null;
+  }
+
+  const { notificationsCollection } = await getCollections();
+  const notification = {
+    recipient: { uid: recipient.uid || null, email: recipient.email || null },
+    actor: actor ? { uid: actor.uid || null, email: actor.email || null, name: actor.name || actor.email || null } : null,
+    type,
+    message,
+    blogId,
+    ticketId,
+    link,
+    read: false,
+    createdAt: new Date(),
+  };
+  const result = await notificationsCollection.insertOne(notification);
+  const saved = { _id: result.insertedId, ...notification };
+
+  for (const client of notificationClients) {
+    if (isNotificationFor(client.user, saved)) sendSseEvent(client.res, "notification", saved);
+  }
+  return saved;
+}
+
+// Notification এর জন্য main কাজ fail না হয়
+function notifySafely(payload) {
+  return notify(payload).catch((err) => console.error("❌ Notification failed:", err.message));
+}
+
+// logActivity থেকে - blog এ অন্য কেউ কিছু করলে blog এর author কে জানাই
+async function notifyBlogAuthor({ user, type, message, blogId }) {
+  if (!blogId || !NOTIFICATION_TYPES.includes(type)) return;
+  const { blogsCollection } = await getCollections();
+  const blog = await blogsCollection.findOne({ _id: blogId }, { projection: { author: 1 } });
+  if (!blog?.author) return;
+  await notify({
+    recipient: { uid: blog.author.uid, email: blog.author.email },
+    actor: user,
+    type,
+    message,
+    blogId,
+    link: `/blogs/${blogId}`,
+  });
+}
+
+const notificationListSchema = {
+  query: { ...paginationQuery, unread: { type: "boolean" }, type: { type: "string", enum: NOTIFICATION_TYPES } },
+};
+
+// GET /notifications?unread=true - নতুনগুলো আগে, সাথে unreadCount
+app.get("/notifications", requireRole("user"), validateRequest(notificationListSchema), async (req, res) => {
+  try {
+    const pagination = parsePagination(req.validQuery);
+    if (pagination.error) return res.status(400).json({ success: false, message: pagination.error });
+
+    const filter = notificationRecipientFilter(req.user);
+    if (req.validQuery.unread) filter.read = false;
+    if (req.validQuery.type) filter.type = req.validQuery.type;
+
+    const { notificationsCollection } = await getCollections();
+    const [page, unreadCount] = await Promise.all([
+      paginateFind(notificationsCollection, filter, pagination),
+      notificationsCollection.countDocuments({ ...notificationRecipientFilter(req.user), read: false }),
+    ]);
+    res.json({ ...page, unreadCount });
+  } catch (err) {
+    console.error("GET /notifications error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.patch("/notifications/:id/read", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const { notificationsCollection } = await getCollections();
+    const result = await notificationsCollection.updateOne(
+      { _id: new ObjectId(req.params.id), ...notificationRecipientFilter(req.user) },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ success: false, message: "Notification not found" });
+
+    res.json({ success: true, message: "Notification marked as read" });
+  } catch (err) {
+    console.error("PATCH /notifications/:id/read error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.post("/notifications/read-all", requireRole("user"), validateRequest({ body: {} }), async (req, res) => {
+  try {
+    const { notificationsCollection } = await getCollections();
+    const result = await notificationsCollection.updateMany(
+      { ...notificationRecipientFilter(req.user), read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    res.json({ success: true, message: "All notifications marked as read", updated: result.modifiedCount });
+  } catch (err) {
+    console.error("POST /notifications/read-all error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// EventSource header পাঠাতে পারে না; ID token URL এ দিলে log / history তে থেকে যায়
+// তাই আগে header দিয়ে short-lived, এক বারের ticket নেয়, stream এ শুধু ?ticket= যায়
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+const streamTickets = new Map();
+
+app.post("/notifications/stream-ticket", requireRole("user"), (req, res) => {
+  const now = Date.now();
+  for (const [key, entry] of streamTickets) {
+    if (entry.expiresAt <= now) streamTickets.delete(key);
+  }
+  const ticket = crypto.randomBytes(32).toString("hex");
+  streamTickets.set(hashToken(ticket), {
+    user: { uid: req.user.uid, email: req.user.email, role: req.user.role },
+    expiresAt: now + STREAM_TICKET_TTL_MS,
+  });
+  res.status(201).json({ success: true, ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 });
+});
+
+function userFromStreamTicket(req, res, next) {
+  const key = typeof req.query.ticket === "string" ? hashToken(req.query.ticket) : null;
+  const entry = key && streamTickets.get(key);
+  if (key) streamTickets.delete(key);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    return res.status(401).json({ success: false, message: "Invalid or expired stream ticket" });
+  }
+  req.user = entry.user;
+  next();
+}
+
+// Ban / erase হলে আগে থেকে খোলা stream এ আর push যায় না; না-ব্যবহৃত stream tickets ও বাতিল
+function closeNotificationStreams(uid) {
+  for (const client of notificationClients) {
+    if (client.user.uid !== uid) continue;
+    clearInterval(client.heartbeat);
+    notificationClients.delete(client);
+    client.res.end();
+  }
+  for (const [key, entry] of streamTickets) {
+    if (entry.user.uid === uid) streamTickets.delete(key);
+  }
+}
+
+// GET /notifications/stream?ticket=<stream ticket> - SSE; connect হলেই unread count পাঠায়
+app.get("/notifications/stream", userFromStreamTicket, async (req, res) => {
+  try {
+    const { notificationsCollection } = await getCollections();
+    const unreadCount = await notificationsCollection.countDocuments({ ...notificationRecipientFilter(req.user), read: false });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    sendSseEvent(res, "ready", { unreadCount });
+
+    // Proxy গুলো idle connection কেটে না দেয় তাই মাঝে মাঝে comment line
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+    const client = { user: { uid: req.user.uid, email: req.user.email }, res, heartbeat };
+    notificationClients.add(client);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      notificationClients.delete(client);
+    });
+  } catch (err) {
+    console.error("GET /notifications/stream error:", err);
+    if (!res.headersSent) res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ✅ Personal data export - user এর সব data JSON files করে একটা ZIP এ; background job, status দেখে download
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, "exports");
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+const EXPORT_WORKER_INTERVAL_MS = parseInt(process.env.EXPORT_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+
+// ZIP এর CRC-32 (IEEE) - Node 20 এ zlib.crc32 সব version এ নেই
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// কয়েকটা ছোট JSON file এর জন্য আলাদা zip dependency না এনে deflate দিয়ে নিজেই লিখি
+function createZip(files, date = new Date()) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const entries = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    entries.push(local, name, compressed);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, buf) => sum + buf.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...entries, ...central, end]);
+}
+
+// User এর সম্পর্কে যা রাখি সব - file name → data
+async function collectUserData(job) {
+  const {
+    usersCollection, blogsCollection, commentsCollection, reactionsCollection, commentLikesCollection, activitiesCollection,
+    subscribersCollection, contactsCollection, ticketsCollection, ticketMessagesCollection, followsCollection,
+    readingListsCollection, bookmarksCollection,
+  } = await getCollections();
+  const { uid, email } = job;
+  const byUser = (field) => ({ $or: [{ [`${field}.uid`]: uid }, ...(email ? [{ [`${field}.email`]: email }] : [])] });
+
+  const [user, blogs, comments, reactions, commentLikes, activities, subscribers, contacts, tickets, follows, readingLists, bookmarks] =
+    await Promise.all([
+      usersCollection.findOne({ $or: [{ uid }, ...(email ? [{ email }] : [])] }),
+      blogsCollection.find(byUser("author"), { projection: { contentHtml: 0, toc: 0, editLock: 0 } }).toArray(),
+      commentsCollection.find(byUser("author"), { projection: { spamScore: 0, moderationStatus: 0 } }).toArray(),
+      reactionsCollection.find({ uid }).toArray(),
+      commentLikesCollection.find({ uid }).toArray(),
+      activitiesCollection.find({ "user.uid": uid }).sort({ timestamp: -1 }).toArray(),
+      email ? subscribersCollection.find({ email }, { projection: { confirmTokenHash: 0, confirmTokenExpires: 0 } }).toArray() : [],
+      email ? contactsCollection.find({ email }, { projection: { spamScore: 0, moderationStatus: 0 } }).toArray() : [],
+      ticketsCollection.find({ $or: [{ uid }, ...(email ? [{ email }] : [])] }).toArray(),
+      followsCollection.find({ followerUid: uid }).toArray(),
+      readingListsCollection.find({ uid }).toArray(),
+      bookmarksCollection.find({ uid }).toArray(),
+    ]);
+
+  const messages = await ticketMessagesCollection.find({ ticketId: { $in: tickets.map((t) => t._id) } }).sort({ createdAt: 1 }).toArray();
+  return {
+    "profile.json": user,
+    "blogs.json": blogs,
+    // আগের embedded reviews এখন comments এ, rating সহ গুলোই review
+    "comments-and-reviews.json": comments,
+    "likes.json": { reactions, commentLikes },
+    "activities.json": activities,
+    "subscriptions.json": subscribers,
+    "contact-messages.json": contacts,
+    "support-tickets.json": tickets.map((ticket) => ({
+      ...ticket,
+      messages: messages.filter((m) => m.ticketId.equals(ticket._id)),
+    })),
+    "follows.json": follows,
+    "reading-lists.json": readingLists.map((list) => ({
+      ...list,
+      bookmarks: bookmarks.filter((b) => b.listId.equals(list._id)),
+    })),
+  };
+}
+
+function exportFilePath(job) {
+  return path.join(EXPORT_DIR, `${job._id}.zip`);
+}
+
+function formatExportJob(job) {
+  return {
+    _id: job._id,
+    status: job.status,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt || null,
+    expiresAt: job.expiresAt || null,
+    size: job.size || null,
+    counts: job.counts || null,
+    error: job.error || null,
+    downloadUrl: job.status === "ready" ? `/me/export/${job._id}/download` : null,
+  };
+}
+
+async function buildExport(job) {
+  const { dataExportsCollection } = await getCollections();
+  try {
+    const data = await collectUserData(job);
+    const generatedAt = new Date();
+    const counts = Object.fromEntries(
+      Object.entries(data).map(([name, value]) => [name, Array.isArray(value) ? value.length : value ? 1 : 0])
+    );
+    const files = Object.entries(data).map(([name, value]) => ({ name, data: JSON.stringify(value, null, 2) }));
+    files.unshift({
+      name: "README.json",
+      data: JSON.stringify({ site: SITE_TITLE, account: { uid: job.uid, email: job.email }, generatedAt, files: counts }, null, 2),
+    });
+
+    const zip = createZip(files, generatedAt);
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(exportFilePath(job), zip);
+
+    await dataExportsCollection.updateOne(
+      { _id: job._id },
+      { $set: { status: "ready", completedAt: generatedAt, expiresAt: new Date(generatedAt.getTime() + EXPORT_TTL_MS), size: zip.length, counts } }
+    );
+    await notifySafely({
+      recipient: { uid: job.uid, email: job.email },
+      type: "EXPORT",
+      message: "Your data export is ready to download",
+      link: `/me/export/${job._id}`,
+    });
+  } catch (err) {
+    console.error(`❌ Data export ${job._id} failed:`, err);
+    await dataExportsCollection.updateOne({ _id: job._id }, { $set: { status: "failed", error: err.message, completedAt: new Date() } });
+  }
+}
+
+// Queued jobs একটা একটা করে claim করে বানায়; মেয়াদ শেষ হওয়া ZIP মুছে দেয়
+let exportWorkerRunning = false;
+async function runExportWorker() {
+  if (exportWorkerRunning) return;
+  exportWorkerRunning = true;
+  try {
+    const { dataExportsCollection } = await getCollections();
+    for (;;) {
+      const job = await dataExportsCollection.findOneAndUpdate(
+        { status: "queued" },
+        { $set: { status: "processing", startedAt: new Date() } },
+        { sort: { createdAt: 1 }, returnDocument: "after" }
+      );
+      if (!job) break;
+      await buildExport(job);
+    }
+
+    const expired = await dataExportsCollection.find({ status: "ready", expiresAt: { $lte: new Date() } }).toArray();
+    for (const job of expired) {
+      await fs.promises.rm(exportFilePath(job), { force: true });
+      await dataExportsCollection.updateOne({ _id: job._id }, { $set: { status: "expired" } });
+    }
+  } catch (err) {
+    console.error("❌ Export worker error:", err);
+  } finally {
+    exportWorkerRunning = false;
+  }
+}
+
+function startExportWorker() {
+  // Restart এর সময় মাঝপথে থেমে যাওয়া jobs আবার queue তে
+  getCollections()
+    .then(({ dataExportsCollection }) => dataExportsCollection.updateMany({ status: "processing" }, { $set: { status: "queued" } }))
+    .then(runExportWorker)
+    .catch((err) => console.error("❌ Export worker start failed:", err));
+  setInterval(runExportWorker, EXPORT_WORKER_INTERVAL_MS);
+  console.log(`📦 Export worker running every ${EXPORT_WORKER_INTERVAL_MS / 1000}s`);
+}
+
+// GET /me/export - চালু বা download যোগ্য export থাকলে সেটাই, না হলে নতুন job queue করে (?fresh=true দিলে সবসময় নতুন)
+app.get("/me/export", requireRole("user"), validateRequest({ query: { fresh: { type: "boolean" } } }), async (req, res) => {
+  try {
+    const { dataExportsCollection } = await getCollections();
+    const existing = await dataExportsCollection.findOne(
+      {
+        uid: req.user.uid,
+        $or: [{ status: { $in: ["queued", "processing"] } }, ...(req.validQuery.fresh ? [] : [{ status: "ready", expiresAt: { $gt: new Date() } }])],
+      },
+      { sort: { createdAt: -1 } }
+    );
+    if (existing) return res.status(existing.status === "ready" ? 200 : 202).json({ success: true, export: formatExportJob(existing) });
+
+    const job = { uid: req.user.uid, email: req.user.email || null, status: "queued", createdAt: new Date() };
+    const result = await dataExportsCollection.insertOne(job);
+    runExportWorker();
+
+    res.status(202).json({ success: true, message: "Your export is being prepared", export: formatExportJob({ _id: result.insertedId, ...job }) });
+  } catch (err) {
+    console.error("GET /me/export error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+async function findOwnExport(req, res) {
+  const { dataExportsCollection } = await getCollections();
+  const job = await dataExportsCollection.findOne({ _id: new ObjectId(req.params.id), uid: req.user.uid });
+  if (!job) res.status(404).json({ success: false, message: "Export not found" });
+  return job;
+}
+
+// GET /me/export/:id - job এর status
+app.get("/me/export/:id", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+    res.json({ success: true, export: formatExportJob(job) });
+  } catch (err) {
+    console.error("GET /me/export/:id error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+app.get("/me/export/:id/download", requireRole("user"), validateRequest({ params: idParams }), async (req, res) => {
+  try {
+    const job = await findOwnExport(req, res);
+    if (!job) return;
+    if (job.status !== "ready" || job.expiresAt <= new Date()) {
+      return res.status(409).json({ success: false, message: `Export is ${job.status === "ready" ? "expired" : job.status}` });
+    }
+
+    const date = job.completedAt.toISOString().slice(0, 10);
+    res.set("Cache-Control", "private, no-store");
+    res.download(exportFilePath(job), `my-data-${date}.zip`, (err) => {
+      if (err && !res.headersSent) res.status(410).json({ success: false, message: "Export file is no longer available" });
+    });
+  } catch (err) {
+    console.error("GET /me/export/:id/download error:", err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});